@@ -1,587 +1,351 @@
 const express = require("express");
-const HttpStatus = require("http-status-codes");
 const morgan = require("morgan");
 const bodyParser = require("body-parser");
 const fileUpload = require("express-fileupload");
 const packageConfig = require("./package.json");
 const path = require("path");
-const fs = require("fs");
 const cors = require("cors");
-const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
+const { createStorage } = require("./lib/storage");
+const { createLoginLimiter } = require("./lib/loginLimiter");
+const { createAuth } = require("./lib/auth");
+const { createLibrary } = require("./lib/library");
+const { createAuditLog } = require("./lib/audit");
+const { createTrash } = require("./lib/trash");
+const { createWebhooks } = require("./lib/webhooks");
+const { errorHandler } = require("./lib/errors");
+const { MAX_UPLOAD_BYTES } = require("./lib/upload");
+const { SEARCH_WEIGHTS } = require("./lib/search");
+const { normalizeStoredTags } = require("./lib/tags");
+const { normalizeStoredEmails } = require("./lib/users");
+const { createApiRouter } = require("./routes");
 
 // Set up mongo
 const mongoUsername = process.env.MONGO_USERNAME;
 const mongoPassword = process.env.MONGO_PASSWORD;
 const mongoHost = process.env.MONGO_HOST || "localhost";
 const mongoPort = process.env.MONGO_PORT || 27017;
-const MongoClient = require("mongodb").MongoClient;
+const { MongoClient } = require("mongodb");
 const mongoURL = `mongodb://${mongoUsername}:${mongoPassword}@${mongoHost}:${mongoPort}/?authSource=image-database`;
 
 // Set up host
 const hostname = process.env.HOSTNAME || "localhost";
 
-const sessionSecret = process.env.SESSION_SECRET || "super secret";
+// Set up file storage, either in the local images directory or an S3 compatible
+// object store depending on STORAGE_DRIVER
+const storage = createStorage({
+    directory: path.join(__dirname, "images"),
+    baseUrl: `${hostname}/api/files/images`,
+});
+const transformCacheDir = path.join(__dirname, "cache", "transforms");
+
+/*
+ * Gets the public URL of a stored file from the storage driver
+ */
+const fileUrl = (file) => storage.url(file);
+
+/*
+ * Adds the public URL to each rendition of an image
+ */
+const withUrls = (renditions) =>
+    renditions.map((rendition) => ({
+        ...rendition,
+        url: fileUrl(rendition.file),
+    }));
+
+// Set up duplicate detection, either warning about or rejecting duplicate uploads
+const duplicatePolicy =
+    process.env.DUPLICATE_POLICY === "reject" ? "reject" : "warn";
+
+// Set up sessions. Refuse to start without a real secret, since anyone who knows
+// it can sign their own tokens
+const sessionSecret = process.env.SESSION_SECRET;
+if (
+    !sessionSecret ||
+    sessionSecret.length < 32 ||
+    sessionSecret === "super secret"
+) {
+    console.error(
+        "SESSION_SECRET must be set to a random string of at least 32 characters"
+    );
+    process.exit(1);
+}
+const accessTokenTtl = process.env.ACCESS_TOKEN_TTL || "15m";
+const fileTokenTtl = process.env.FILE_TOKEN_TTL || "1h";
+const refreshTokenTtlMs =
+    (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/*
+ * Parses the TRUST_PROXY setting for Express. true or false trust every proxy or
+ * none, a number is how many proxies are in front of the server, and anything else
+ * is a list of trusted addresses or subnets, like loopback or 10.0.0.0/8.
+ */
+const parseTrustProxy = (value) => {
+    if (value === "true" || value === "false") {
+        return value === "true";
+    }
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+    return value;
+};
 
 const app = express();
+if (process.env.TRUST_PROXY) {
+    // Behind a load balancer, so the client IP used for login limits comes from
+    // X-Forwarded-For
+    app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY.trim()));
+}
 MongoClient.connect(mongoURL, { useUnifiedTopology: true })
     .then((client) => {
         console.log("Connected to Database");
         const db = client.db("image-database");
         const images = db.collection("images");
+        const uploads = db.collection("uploads");
         const tags = db.collection("tags");
+        const albums = db.collection("albums");
+        const shares = db.collection("shares");
         const users = db.collection("users");
-
-        app.use(morgan("dev"));
-        app.use("/api/files/images", express.static("images"));
-        app.use(bodyParser.json());
-        app.use(bodyParser.urlencoded({ extended: false }));
-        app.use(fileUpload());
-        app.use(cors({ origin: true }));
-
-        /*
-         * A simple API Health Check
-         */
-        app.get("/api", (req, res) => {
-            return res.status(HttpStatus.OK).json({
-                msg: "OK",
-                service: "Image Database API Server",
-            });
+        const userTokens = db.collection("userTokens");
+        const refreshTokens = db.collection("refreshTokens");
+        const loginAttempts = db.collection("loginAttempts");
+        const auditLog = db.collection("auditLog");
+        const revisions = db.collection("imageRevisions");
+        const trash = db.collection("trash");
+        const webhooks = db.collection("webhooks");
+        const webhookDeliveries = db.collection("webhookDeliveries");
+        const loginLimiter = createLoginLimiter(loginAttempts, {
+            maxPerIp: parseInt(process.env.LOGIN_MAX_PER_IP) || 20,
+            maxPerAccount: parseInt(process.env.LOGIN_MAX_PER_ACCOUNT) || 5,
+            windowMs: 15 * 60 * 1000,
+            lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000,
         });
 
-        // ---------------------- Authentication Operations ------------------------------
-        // Note: There will not be any signup functionality as I only need 1 user to be able
-        // to login, and so I won't need to be able to make a new user.
-
-        /*
-         * Authentication middleware for verifying and decrypting jwt tokens. Calls
-         * next() when done
-         *
-         * Header: token - A JWT token signed from this server
-         *
-         * @returns {json} an error if it exists. Otherwise nothing.
-         */
-        const auth = (req, res, next) => {
-            const token = req.header("token");
-            if (!token) {
-                return res.status(HttpStatus.UNAUTHORIZED).json({
-                    error: true,
-                    msg: "Error: Authentication Error",
-                });
-            }
-
-            try {
-                const decoded = jwt.verify(token, sessionSecret);
-                req.user = decoded.user;
-                next();
-            } catch (err) {
-                res.status(HttpStatus.INTERNAL_SERVER_ERROR).json({
-                    error: true,
-                    msg: "Error: Internal Server Error - " + err,
-                });
-            }
-        };
-
-        /*
-         * Checks if a user can login, and returns a session token for authencating
-         * certain endpoints
-         *
-         * Body: A JSON object with the user credentials
-         *  Example:
-         *  {
-         *      email: <email>,
-         *      password: <password>
-         *  }
-         *
-         * @returns {json} an object with a token key, or an object describing an error
-         */
-        app.post("/api/auth/login", (req, res) => {
-            const { email, password } = req.body;
-            console.log(email, password);
-            users.findOne({ email }, (err, result) => {
-                if (err) {
-                    return res.status(HttpStatus.INTERNAL_SERVER_ERROR).json({
-                        error: true,
-                        msg: "Error: Internal Server Error - " + err,
-                    });
-                }
-
-                if (result === null) {
-                    return res.status(HttpStatus.NOT_FOUND).json({
-                        error: true,
-                        msg: "Error: User Not Found",
-                    });
+        // Emails from before they were normalized would no longer match their user
+        normalizeStoredEmails(users, [
+            { collection: images, field: "ownerEmail" },
+            { collection: albums, field: "ownerEmail" },
+            { collection: trash, field: "ownerEmail" },
+            { collection: uploads, field: "ownerEmail" },
+            { collection: shares, field: "createdBy" },
+            { collection: webhooks, field: "createdBy" },
+            { collection: userTokens, field: "email" },
+            { collection: refreshTokens, field: "email" },
+        ])
+            .then((updated) => {
+                if (updated) {
+                    console.log(
+                        "Normalized the emails of " + updated + " users"
+                    );
                 }
-
-                bcrypt.compare(password, result.passwordHash, (err, match) => {
-                    if (err) {
-                        return res
-                            .status(HttpStatus.INTERNAL_SERVER_ERROR)
-                            .json({
-                                error: true,
-                                msg: "Error: Internal Server Error - " + err,
-                            });
-                    }
-
-                    if (match) {
-                        jwt.sign(
-                            {
-                                user: {
-                                    email: result.email,
-                                    name: result.name,
-                                },
-                            },
-                            sessionSecret,
-                            { expiresIn: "7 days" },
-                            (err, token) => {
-                                if (err) {
-                                    return res
-                                        .status(
-                                            HttpStatus.INTERNAL_SERVER_ERROR
-                                        )
-                                        .json({
-                                            error: true,
-                                            msg:
-                                                "Error: Internal Server Error - " +
-                                                err,
-                                        });
-                                }
-
-                                return res.status(HttpStatus.OK).json({
-                                    msg: "Successfully logged in",
-                                    token,
-                                    user: {
-                                        email: result.email,
-                                        name: result.name,
-                                    },
-                                });
-                            }
-                        );
-                    } else {
-                        return res.status(HttpStatus.UNAUTHORIZED).json({
-                            error: true,
-                            msg: "Error: Credentials are incorrect",
-                        });
-                    }
-                });
-            });
-        });
-
-        /*
-         * Verifies a session and issues a new JWT token
-         */
-        app.get("/api/auth/session", auth, (req, res) => {
-            jwt.sign(
-                { user: req.user },
-                sessionSecret,
-                { expiresIn: "7 days" },
-                (err, token) => {
-                    if (err) {
-                        return res
-                            .status(HttpStatus.INTERNAL_SERVER_ERROR)
-                            .json({
-                                error: true,
-                                msg: "Error: Internal Server Error - " + err,
-                            });
-                    }
-
-                    return res.status(HttpStatus.OK).json({
-                        msg: "Valid Session",
-                        token,
-                        user: req.user,
-                    });
+            })
+            .catch((err) =>
+                console.error("Could not normalize the stored emails - " + err)
+            );
+        users
+            .createIndex({ email: 1 }, { unique: true })
+            .catch((err) =>
+                console.error(
+                    "Could not create the unique users index - " + err
+                )
+            );
+        userTokens
+            .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+            .catch((err) =>
+                console.error("Could not create the user tokens index - " + err)
+            );
+        refreshTokens
+            .createIndexes([
+                { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+                { key: { family: 1 } },
+                { key: { email: 1 } },
+            ])
+            .catch((err) =>
+                console.error(
+                    "Could not create the refresh token indexes - " + err
+                )
+            );
+        loginAttempts
+            .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+            .catch((err) =>
+                console.error(
+                    "Could not create the login attempts index - " + err
+                )
+            );
+        // Tags from before they were normalized would break the unique index
+        normalizeStoredTags(tags, images)
+            .then((updated) => {
+                if (updated) {
+                    console.log(
+                        "Normalized the tags of " + updated + " images"
+                    );
                 }
+                return tags.createIndex({ tag: 1 }, { unique: true });
+            })
+            .catch((err) =>
+                console.error("Could not create the unique tags index - " + err)
             );
-        });
-
-        // ---------------------- Database Operations ------------------------------------
-
-        /*
-         * Get number of pages in images collection based on pageSize and search query
-         *
-         * Query Parameters:
-         *  pageSize => size of querying page. Default 15, like the /api/image/db endpoint
-         *  search => search query
-         *  tags => array of tags as a query
-         */
-        app.get("/api/image/db/pages", (req, res) => {
-            let search = req.query.search || ".*";
-            let tags = req.query.tags || [];
-            tags = Array.isArray(tags) ? tags : [tags];
-            images.countDocuments(
+        albums
+            .createIndexes([
+                { key: { images: 1 } },
+                { key: { ownerEmail: 1 } },
+                { key: { updatedAt: -1 } },
+            ])
+            .catch((err) =>
+                console.error("Could not create the album indexes - " + err)
+            );
+        shares
+            .createIndexes([
+                { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+                { key: { target: 1 } },
+            ])
+            .catch((err) =>
+                console.error("Could not create the share indexes - " + err)
+            );
+        auditLog
+            .createIndexes([
+                { key: { createdAt: -1 } },
+                { key: { type: 1, target: 1 } },
+                { key: { actor: 1 } },
+            ])
+            .catch((err) =>
+                console.error("Could not create the audit log indexes - " + err)
+            );
+        revisions
+            .createIndex({ imageId: 1, version: -1 }, { unique: true })
+            .catch((err) =>
+                console.error(
+                    "Could not create the unique revisions index - " + err
+                )
+            );
+        trash
+            .createIndexes([
+                { key: { purgeAt: 1 } },
+                { key: { ownerEmail: 1, deletedAt: -1 } },
+                { key: { deletedAt: -1 } },
+            ])
+            .catch((err) =>
+                console.error("Could not create the trash indexes - " + err)
+            );
+        webhookDeliveries
+            .createIndexes([
                 {
-                    tags: tags.length ? { $all: tags } : { $in: [/.*/] },
-                    $or: [
-                        { title: { $regex: `${search}`, $options: "i" } },
-                        { description: { $regex: `${search}`, $options: "i" } },
-                    ],
+                    key: { createdAt: 1 },
+                    expireAfterSeconds: 30 * 24 * 60 * 60,
                 },
-                (err, result) => {
-                    if (err) {
-                        return res
-                            .status(HttpStatus.INTERNAL_SERVER_ERROR)
-                            .json({
-                                error: true,
-                                msg: "Error: Internal Server Error - " + err,
-                            });
-                    }
-
-                    let pageSize = req.query.pageSize || 15;
-                    let pages = Math.ceil(result / pageSize);
-                    return res.status(HttpStatus.OK).json(pages);
-                }
+                { key: { status: 1, nextAttemptAt: 1 } },
+                { key: { webhookId: 1, createdAt: -1 } },
+            ])
+            .catch((err) =>
+                console.error(
+                    "Could not create the webhook delivery indexes - " + err
+                )
             );
-        });
-
-        /*
-         * Gets an image, or many images, depending on what is being passed in.
-         * If an id is passed in, just one with that ID will be returned.
-         * If no id is passed in, then it will return many, defaulting pageSize to 15 and pageNum to 1
-         *
-         * Query Parameters:
-         *  id => id of single image
-         *
-         *  pageSize => size of page
-         *  pageNum => specific page number
-         *  search => a query string for searching titles or descriptions
-         *  tags => an array of tags to query
-         *
-         * @returns {json} sends a json array for many objects and just one object for a single id query
-         */
-        app.get("/api/image/db", (req, res) => {
-            if (req.query.id) {
-                images.findOne({ _id: req.query.id }, (err, result) => {
-                    if (err) {
-                        console.error(err);
-                        return res
-                            .status(HttpStatus.INTERNAL_SERVER_ERROR)
-                            .json({
-                                error: true,
-                                msg: "Error: Internal Server Error - " + err,
-                            });
-                    }
-
-                    if (result == null) {
-                        return res.status(HttpStatus.NOT_FOUND).json({
-                            error: true,
-                            msg: "Error: Not Found",
-                        });
-                    }
-
-                    return res.status(HttpStatus.OK).json(result);
-                });
-            } else {
-                let pageSize = parseInt(req.query.pageSize) || 15;
-                let pageNum = parseInt(req.query.pageNum) || 1;
-                let skipAmount = pageSize * (pageNum - 1);
-                let search = req.query.search || ".*";
-                let tags = req.query.tags || [];
-                tags = Array.isArray(tags) ? tags : [tags];
-                images
-                    .find(
-                        {
-                            tags: tags.length
-                                ? { $all: tags }
-                                : { $in: [/.*/] },
-                            $or: [
-                                {
-                                    title: {
-                                        $regex: `${search}`,
-                                        $options: "i",
-                                    },
-                                },
-                                {
-                                    description: {
-                                        $regex: `${search}`,
-                                        $options: "i",
-                                    },
-                                },
-                            ],
-                        },
-                        { skip: skipAmount, limit: pageSize }
-                    )
-                    .toArray()
-                    .then((result) => {
-                        if (result == null) {
-                            return res.status(HttpStatus.NOT_FOUND).json({
-                                error: true,
-                                msg: "Error: Not Found",
-                            });
-                        }
-
-                        return res.status(HttpStatus.OK).json(result);
-                    })
-                    .catch((err) => {
-                        console.error(err);
-                        return res
-                            .status(HttpStatus.INTERNAL_SERVER_ERROR)
-                            .json({
-                                error: true,
-                                msg: "Error: Internal Server Error - " + err,
-                            });
-                    });
-            }
-        });
-
-        /*
-         * Inserts a new image into the database. This operation should be done after
-         * an image has been posted to the storage container, and a URL is returned. That
-         * way, a URL can be passed into this function.
-         *
-         * Body: a document to be inserted into the images collection.
-         *  Example:
-         *  {
-         *      _id: <unique-id>,
-         *      createdAt: <timestamp>,
-         *      description: <description of image>,
-         *      filePath: <URL returned from /api/image/storage endpoint>,
-         *      tags: <array of tag strings from tags collection>,
-         *      title: <title of image>,
-         *      updatedAt: <timestamp>
-         *  }
-         *
-         * @returns {json} a message whether or not the operation was successful or not
-         */
-        app.post("/api/image/db", auth, (req, res) => {
-            images.insertOne(req.body, (err, result) => {
-                if (err) {
-                    if (err.code == 11000) {
-                        return res.status(409).json({
-                            error: true,
-                            msg:
-                                "Error: Record Already Exists at id=" +
-                                req.body._id,
-                        });
-                    }
-
-                    console.error(err);
-                    return res.status(HttpStatus.INTERNAL_SERVER_ERROR).json({
-                        error: true,
-                        msg: "Error: Internal Server Error - " + err,
-                    });
-                }
-
-                return res.status(HttpStatus.OK).json({
-                    msg: "Successfully added image _id=" + result.insertedId,
-                });
-            });
-        });
-
-        /*
-         * Updates an image in the database
-         *
-         * Body: a document to be updated in the images collection.
-         *  Example:
-         *  {
-         *      _id: <unique-id of an existing image>,
-         *      createdAt: <timestamp>,
-         *      description: <description of image>,
-         *      filePath: <URL returned from /api/image/storage endpoint>,
-         *      tags: <array of tag strings from tags collection>,
-         *      title: <title of image>,
-         *      updatedAt: <timestamp>
-         *  }
-         *
-         * @returns {json} a message whether or not the operation was successful or not
-         */
-        app.put("/api/image/db", auth, (req, res) => {
-            images.updateOne(
-                { _id: req.body["_id"] },
-                req.body,
-                (err, result) => {
-                    if (err) {
-                        console.error(err);
-                        return res
-                            .status(HttpStatus.INTERNAL_SERVER_ERROR)
-                            .json({
-                                error: true,
-                                msg: "Error: Internal Server Error - " + err,
-                            });
-                    }
-
-                    return res.status(HttpStatus.OK).json({
-                        msg:
-                            "Successfully updated image _id=" +
-                            result.upsertedId,
-                    });
-                }
+        images
+            .createIndexes([
+                { key: { fileName: 1 } },
+                { key: { "renditions.file": 1 } },
+                { key: { filePath: 1 } },
+            ])
+            .catch((err) =>
+                console.error(
+                    "Could not create the image file indexes - " + err
+                )
+            );
+        images
+            .createIndex(
+                Object.fromEntries(
+                    Object.keys(SEARCH_WEIGHTS).map((field) => [field, "text"])
+                ),
+                { name: "image_search", weights: SEARCH_WEIGHTS }
+            )
+            .catch((err) =>
+                console.error(
+                    "Could not create the image search index - " + err
+                )
             );
-        });
-
-        /*
-         * Deletes an image in the database
-         *
-         * Body: a document to be deleted from the images collection.
-         *  Example:
-         *  {
-         *      _id: <unique-id>
-         *  }
-         *
-         * @returns {json} a message whether or not the operation was successful or not
-         */
-        app.delete("/api/image/db", auth, (req, res) => {
-            images.deleteOne(req.body, (err, result) => {
-                if (err) {
-                    console.error(err);
-                    return res.status(HttpStatus.INTERNAL_SERVER_ERROR).json({
-                        error: true,
-                        msg: "Error Internal Server Error - " + err,
-                    });
-                }
-
-                if (result.deletedCount == 0) {
-                    return res.status(HttpStatus.NOT_FOUND).json({
-                        error: true,
-                        msg: "Error: Image not found",
-                    });
-                }
-
-                return res.status(HttpStatus.OK).json({
-                    msg: "Successfully deleted image _id=" + req.body._id,
-                });
-            });
-        });
-
-        // ---------------------- Storage Operations ------------------------------------
-
-        app.post("/api/image/storage", auth, (req, res) => {
-            if (!req.files || Object.keys(req.files).length === 0) {
-                return res.status(HttpStatus.BAD_REQUEST).json({
-                    error: true,
-                    msg: "Error: No files uploaded",
-                });
-            }
-
-            let image = req.files.image;
-            let filePath = `${hostname}/api/files/images/` + image.name;
-
-            // Move the image to the images folder in /images/filename
-            image.mv(path.join(__dirname, "images", image.name), (err) => {
-                if (err) {
-                    return res.status(HttpStatus.INTERNAL_SERVER_ERROR).json({
-                        error: true,
-                        msg: "Error: Internal Server Error - " + err,
-                    });
-                }
 
-                return res.status(HttpStatus.OK).json({
-                    msg: "Successfully uploaded file - " + image.name,
-                    url: filePath,
-                });
-            });
-        });
+        app.use(morgan("dev"));
 
-        /*
-         * Deletes an image from storage
-         *
-         * Body:
-         *  Example:
-         *  {
-         *      _id: <unique-id>
-         *  }
-         *
-         * @returns {json} a message whether or not the operation was successful or not
-         */
-        app.delete("/api/image/storage", auth, (req, res) => {
-            fs.unlink(
-                path.join(__dirname, "images", path.basename(req.query.file)),
-                (err) => {
-                    if (err) {
-                        if (err.code == "ENOENT") {
-                            return res.status(HttpStatus.NOT_FOUND).json({
-                                error: true,
-                                msg: "Error: Image not found",
-                            });
-                        }
+        app.use(bodyParser.json());
+        app.use(bodyParser.urlencoded({ extended: false }));
+        app.use(fileUpload({ limits: { fileSize: MAX_UPLOAD_BYTES } }));
+        app.use(cors({ origin: true }));
 
-                        console.error(err);
-                        return res
-                            .status(HttpStatus.INTERNAL_SERVER_ERROR)
-                            .json({
-                                error: true,
-                                msg: "Error: Internal Server Error - " + err,
-                            });
+        // The routes share the collections, storage, settings and the helpers built
+        // on them
+        const context = {
+            images,
+            uploads,
+            tags,
+            albums,
+            shares,
+            users,
+            userTokens,
+            refreshTokens,
+            loginLimiter,
+            auditLog,
+            revisions,
+            trash,
+            webhooks,
+            webhookDeliveries,
+            storage,
+            transformCacheDir,
+            hostname,
+            sessionSecret,
+            duplicatePolicy,
+            fileUrl,
+            withUrls,
+        };
+        const webhookHelpers = createWebhooks({ webhooks, webhookDeliveries });
+        Object.assign(
+            context,
+            createAuth({
+                users,
+                refreshTokens,
+                sessionSecret,
+                accessTokenTtl,
+                fileTokenTtl,
+                refreshTokenTtlMs,
+            }),
+            createLibrary(context),
+            webhookHelpers,
+            // Every recorded change is sent to the webhooks subscribed to it
+            createAuditLog(auditLog, revisions, webhookHelpers.dispatchEvents),
+            createTrash(context)
+        );
+
+        // Purge items that have been in the trash longer than TRASH_RETENTION_DAYS,
+        // at startup and then every hour
+        const purgeTrash = () =>
+            context
+                .purgeExpiredTrash()
+                .then((purged) => {
+                    if (purged) {
+                        console.log("Purged %d items from the trash", purged);
                     }
-
-                    return res.status(HttpStatus.OK).json({
-                        msg: "Successfully deleted image - " + req.query.file,
-                    });
-                }
-            );
-        });
-
-        // ---------------------- Tags Operations ------------------------------------
-
-        /*
-         * Gets all of the tags from the tags collection
-         *
-         * @returns {json} a list of all of the tag documents
-         */
-        app.get("/api/tags", (_, res) => {
-            tags.find()
-                .toArray()
-                .then((items) => {
-                    res.status(HttpStatus.OK).json(items);
                 })
-                .catch((err) => {
-                    res.status(HttpStatus.NOT_FOUND).json({
-                        error: true,
-                        msg: "Error: Tags not found - " + err,
-                    });
-                });
-        });
-
-        /*
-         * Adds a new tag to the tags collection if it isn't already present
-         *
-         * Body: a tag document, without an _id field (will be handled automatically)
-         *  Example:
-         *  {
-         *      tag: <tag name>
-         *  }
-         *
-         * @returns {json} a success or error message
-         */
-        app.post("/api/tags", auth, (req, res) => {
-            tags.insertOne(req.body, (err) => {
-                if (err) {
-                    return res.status(HttpStatus.INTERNAL_SERVER_ERROR).json({
-                        error: true,
-                        msg: "Error: Internal Server Error - " + err,
-                    });
-                }
-
-                return res.status(HttpStatus.OK).json({
-                    msg: "Successfully inserted tag " + req.body.tag,
-                });
-            });
-        });
-
-        /*
-         * Removes a tag from the tags collection, and removes it from any images
-         *
-         * Body: a tag document, with out an _id field.
-         *  Example:
-         *  {
-         *      tag: <tag name>
-         *  }
-         *
-         * @returns {json} a success or error message
-         */
-        app.delete("/api/tags", auth, (req, res) => {
-            //tags.deleteOne(req.body, (err) => {
-            //    if (err) {
-            //        return res.status(HttpStatus.INTERNAL_SERVER_ERROR).json({
-            //           error: true,
-            //            msg: "Error: Internal Server Error - " + err,
-            //        });
-            //    }
-            //
-            //
-            //})
-            //TODO: delete the tag from all of the images
-            return res.status(200).end();
-        });
+                .catch((err) =>
+                    console.error("Could not purge the trash - " + err)
+                );
+        purgeTrash();
+        setInterval(purgeTrash, 60 * 60 * 1000).unref();
+
+        // Retry webhook deliveries that failed, or that weren't sent before a restart
+        const deliverWebhooks = () =>
+            context
+                .deliverPending()
+                .catch((err) =>
+                    console.error("Could not send webhook deliveries - " + err)
+                );
+        deliverWebhooks();
+        setInterval(deliverWebhooks, 30 * 1000).unref();
+
+        // /api is the unversioned path from before /api/v1, and is kept so existing
+        // clients and stored file URLs keep working
+        const api = createApiRouter(context);
+        app.use("/api/v1", api);
+        app.use("/api", api);
+        app.use(errorHandler);
 
         // ---------------------- Start Server ------------------------------------
         app.listen(process.env.PORT || 5000, function () {
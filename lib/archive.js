@@ -0,0 +1,55 @@
+const { once } = require("events");
+const archiver = require("archiver");
+
+/*
+ * Writes a ZIP archive of stored files to a stream, followed by entries like a
+ * manifest that describe them.
+ * Files are read from storage one at a time, so only one is held in memory. They are
+ * stored without compression, since images are already compressed.
+ *
+ * @param {stream.Writable} output - where the archive is written, like a response
+ * @param {Array} files - the files to add, each with the key of the file in storage
+ *  and the name to give it in the archive
+ * @param {object} storage - the storage driver to read the files from
+ * @param {function} entriesFor - called with the keys of the files that weren't found
+ *  in storage, and returns an object of the entries to add after the files, mapping
+ *  each name in the archive to its contents
+ *
+ * @returns {Promise<Array>} the keys of the files that weren't found in storage
+ */
+const writeArchive = async (output, files, storage, entriesFor) => {
+    const archive = archiver("zip", { store: true });
+    archive.pipe(output);
+
+    const missing = [];
+    try {
+        for (const file of files) {
+            let data;
+            try {
+                data = await storage.get(file.key);
+            } catch (err) {
+                if (err.code !== "ENOENT") {
+                    throw err;
+                }
+
+                missing.push(file.key);
+                continue;
+            }
+
+            archive.append(data, { name: file.name });
+            await once(archive, "entry");
+        }
+
+        for (const [name, contents] of Object.entries(entriesFor(missing))) {
+            archive.append(contents, { name });
+        }
+        await archive.finalize();
+    } catch (err) {
+        archive.abort();
+        throw err;
+    }
+
+    return missing;
+};
+
+module.exports = { writeArchive };
@@ -0,0 +1,167 @@
+const { ObjectId } = require("mongodb");
+const { METADATA_FIELDS } = require("./schema");
+
+// Fields that change on every write, so they would only add noise to a diff
+const UNDIFFED_FIELDS = ["updatedAt", "version"];
+
+/*
+ * Compares two versions of a document field by field. Nested fields are compared
+ * as a whole, so a changed EXIF value shows the whole exif object.
+ *
+ * @param {object} before - the document before the change, or null if it was created
+ * @param {object} after - the document after the change, or null if it was deleted
+ *
+ * @returns {Array} a list of the fields that changed, each with its value before and
+ *  after. Missing values are null.
+ */
+const diffDocuments = (before, after) => {
+    const fields = new Set([
+        ...Object.keys(before || {}),
+        ...Object.keys(after || {}),
+    ]);
+    return [...fields]
+        .filter((field) => !UNDIFFED_FIELDS.includes(field))
+        .map((field) => ({
+            field,
+            before:
+                before && before[field] !== undefined ? before[field] : null,
+            after: after && after[field] !== undefined ? after[field] : null,
+        }))
+        .filter(
+            (change) =>
+                JSON.stringify(change.before) !== JSON.stringify(change.after)
+        );
+};
+
+/*
+ * Gets the metadata of an image that a revision keeps
+ */
+const metadataOf = (image) =>
+    Object.fromEntries(
+        METADATA_FIELDS.filter(
+            (field) => image[field] !== undefined
+        ).map((field) => [field, image[field]])
+    );
+
+/*
+ * Creates the helpers for recording who changed what. Every change is written to
+ * the audit log with a diff of the document, and every version of an image's
+ * metadata is kept as a revision so that it can be restored.
+ *
+ * @param {object} auditLog - the Mongo collection of audit entries
+ * @param {object} revisions - the Mongo collection of image revisions
+ * @param {function} onChange - called with the entries of each change once they are
+ *  recorded, each with the document after the change, like to send them to webhooks
+ *  (optional)
+ *
+ * @returns {object} the helpers
+ */
+const createAuditLog = (auditLog, revisions, onChange = async () => {}) => {
+    const entryFor = (user, action, type, target, before, after) => ({
+        _id: new ObjectId().toHexString(),
+        actor: user.email,
+        role: user.role,
+        action,
+        type,
+        target,
+        changes: diffDocuments(before, after),
+        createdAt: new Date(),
+    });
+
+    /*
+     * Keeps the metadata of an image at its current version. Images changed before
+     * revisions were kept get a revision of the version they were at too, so the
+     * first change can still be undone.
+     */
+    const revisionFor = (user, action, image) => ({
+        updateOne: {
+            filter: { imageId: image._id, version: image.version || 0 },
+            update: {
+                $setOnInsert: {
+                    imageId: image._id,
+                    version: image.version || 0,
+                    fields: metadataOf(image),
+                    actor: user ? user.email : null,
+                    action,
+                    createdAt: user
+                        ? new Date()
+                        : image.updatedAt || image.createdAt || null,
+                },
+            },
+            upsert: true,
+        },
+    });
+
+    /*
+     * Records a change in the audit log. The change has already been made, so a
+     * failure to record it is logged instead of failing the request.
+     *
+     * @param {object} user - who made the change, from req.user
+     * @param {string} action - what was done, like tag.create
+     * @param {string} type - the type of document that changed, like tag
+     * @param {string} target - the id or name of the document
+     * @param {object} before - the document before the change, or null
+     * @param {object} after - the document after the change, or null
+     */
+    const recordChange = async (user, action, type, target, before, after) => {
+        const entry = entryFor(user, action, type, target, before, after);
+        try {
+            await auditLog.insertOne(entry);
+        } catch (err) {
+            console.error("Could not record " + action + " - " + err);
+        }
+        await onChange([{ ...entry, document: after }]);
+    };
+
+    /*
+     * Records changes to images in the audit log, and keeps a revision of each image
+     * that still exists afterwards
+     *
+     * @param {object} user - who made the changes, from req.user
+     * @param {string} action - what was done, like image.update
+     * @param {Array} changes - the images before and after, as { before, after }
+     *  with null for images that were created or deleted
+     */
+    const recordImageChanges = async (user, action, changes) => {
+        if (!changes.length) {
+            return;
+        }
+
+        const entries = changes.map(({ before, after }) =>
+            entryFor(
+                user,
+                action,
+                "image",
+                (after || before)._id,
+                before,
+                after
+            )
+        );
+        try {
+            await auditLog.insertMany(entries);
+
+            const kept = changes.filter(({ after }) => after);
+            if (kept.length) {
+                await revisions.bulkWrite(
+                    kept.flatMap(({ before, after }) => [
+                        ...(before ? [revisionFor(null, null, before)] : []),
+                        revisionFor(user, action, after),
+                    ]),
+                    { ordered: false }
+                );
+            }
+        } catch (err) {
+            console.error("Could not record " + action + " - " + err);
+        }
+        await onChange(
+            entries.map((entry, i) => ({
+                ...entry,
+                document: changes[i].after,
+            }))
+        );
+    };
+
+    return { recordChange, recordImageChanges };
+};
+
+module.exports = { diffDocuments, createAuditLog };
@@ -0,0 +1,228 @@
+const jwt = require("jsonwebtoken");
+const { roleOf, generateToken } = require("./users");
+const { unauthorized, forbidden } = require("./errors");
+
+/*
+ * Checks if a user can change or delete a document, like an image or an album.
+ * Admins can change any document, and editors only their own.
+ */
+const canModify = (user, document) =>
+    user.role === "admin" || document.ownerEmail === user.email;
+
+/*
+ * Gets the filter that limits a query to the documents a user can change
+ */
+const ownerFilter = (user) =>
+    user.role === "admin" ? {} : { ownerEmail: user.email };
+
+/*
+ * Creates the authentication middleware and the helpers for issuing and revoking
+ * tokens
+ *
+ * @param {object} options
+ *  users => the users collection
+ *  refreshTokens => the refresh tokens collection
+ *  sessionSecret => the secret tokens are signed with
+ *  accessTokenTtl => how long access tokens last, like 15m
+ *  fileTokenTtl => how long file tokens last, like 1h
+ *  refreshTokenTtlMs => how long refresh tokens last, in milliseconds
+ *
+ * @returns {object} the middleware and helpers
+ */
+const createAuth = ({
+    users,
+    refreshTokens,
+    sessionSecret,
+    accessTokenTtl,
+    fileTokenTtl,
+    refreshTokenTtlMs,
+}) => {
+    /*
+     * Looks up the user a token was issued to. Tokens issued before the user's tokens
+     * were revoked aren't valid anymore.
+     *
+     * @returns {Promise<object>} the user for req.user, or null if the token isn't
+     *  valid anymore
+     */
+    const findTokenUser = async (email, issuedAt) => {
+        const user = await users.findOne({ email });
+        if (user == null || issuedAt < (user.tokensValidAfter || 0)) {
+            return null;
+        }
+
+        return { email: user.email, name: user.name, role: roleOf(user) };
+    };
+
+    /*
+     * Authentication middleware for verifying and decrypting jwt tokens. The user is
+     * looked up on every request, so role changes, deleted users and revoked tokens
+     * take effect straight away. Calls next() when done
+     *
+     * Header: token - A JWT token signed from this server
+     */
+    const auth = (req, res, next) => {
+        const token = req.header("token");
+        let decoded;
+        try {
+            decoded = jwt.verify(token, sessionSecret);
+        } catch (err) {
+            return next(unauthorized());
+        }
+
+        // Share links are signed with the same secret, but aren't sessions
+        if (!decoded.user) {
+            return next(unauthorized());
+        }
+
+        findTokenUser(decoded.user.email, decoded.iat)
+            .then((user) => {
+                if (user == null) {
+                    return next(unauthorized());
+                }
+
+                req.user = user;
+                next();
+            })
+            .catch(next);
+    };
+
+    /*
+     * Authentication middleware for endpoints that anyone can use, but that show more
+     * to logged in users. Only checks the token if one is given, and sets req.user
+     * when it is valid. An expired or invalid token is treated like no token, so
+     * these endpoints keep working after a session runs out.
+     */
+    const optionalAuth = (req, res, next) => {
+        if (!req.header("token")) {
+            return next();
+        }
+
+        auth(req, res, (err) => {
+            if (err && err.code === "unauthorized") {
+                return next();
+            }
+            next(err);
+        });
+    };
+
+    /*
+     * Authentication middleware for stored files, which are loaded by <img> tags that
+     * can't send the token header. Takes a file token from /api/v1/auth/file-token in
+     * the token query parameter instead, or the header like optionalAuth. Invalid
+     * file tokens are treated like no token.
+     *
+     * Query Parameters:
+     *  token => a file token (optional)
+     */
+    const fileAuth = (req, res, next) => {
+        if (!req.query.token || req.header("token")) {
+            return optionalAuth(req, res, next);
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(String(req.query.token), sessionSecret);
+        } catch (err) {
+            return next();
+        }
+
+        // Only file tokens can be sent in URLs, where they are easily leaked
+        if (!decoded.files) {
+            return next();
+        }
+
+        findTokenUser(decoded.files, decoded.iat)
+            .then((user) => {
+                req.user = user || undefined;
+                next();
+            })
+            .catch(next);
+    };
+
+    /*
+     * Creates a middleware that only lets users with one of the given roles through.
+     * Has to come after the auth middleware.
+     */
+    const requireRole = (...roles) => (req, res, next) => {
+        if (!roles.includes(req.user.role)) {
+            return next(forbidden());
+        }
+        next();
+    };
+
+    /*
+     * Signs a short lived access token for a user
+     */
+    const signAccessToken = (user) =>
+        jwt.sign(
+            { user: { email: user.email, name: user.name } },
+            sessionSecret,
+            { expiresIn: accessTokenTtl }
+        );
+
+    /*
+     * Signs a short lived token for loading a user's files, which can only be used
+     * with fileAuth
+     */
+    const signFileToken = (user) =>
+        jwt.sign({ files: user.email }, sessionSecret, {
+            expiresIn: fileTokenTtl,
+        });
+
+    /*
+     * Issues an access token and a new refresh token for a user. Refresh tokens are
+     * stored hashed, and each login starts a new family of refresh tokens so that a
+     * reused token can revoke every token descended from the same login.
+     *
+     * @returns {Promise<object>} the access token and the refresh token
+     */
+    const issueTokens = (user, family) => {
+        const { token, hash } = generateToken();
+        const now = new Date();
+        return refreshTokens
+            .insertOne({
+                _id: hash,
+                email: user.email,
+                family: family || hash,
+                createdAt: now,
+                expiresAt: new Date(now.getTime() + refreshTokenTtlMs),
+                revokedAt: null,
+            })
+            .then(() => ({
+                token: signAccessToken(user),
+                refreshToken: token,
+            }));
+    };
+
+    /*
+     * Revokes every refresh token of a user, and every access token issued before
+     * now. Used when logging out everywhere and changing passwords.
+     */
+    const revokeAllTokens = (email) => {
+        const now = new Date();
+        return Promise.all([
+            refreshTokens.updateMany(
+                { email, revokedAt: null },
+                { $set: { revokedAt: now } }
+            ),
+            users.updateOne(
+                { email },
+                { $set: { tokensValidAfter: Math.floor(now / 1000) } }
+            ),
+        ]);
+    };
+
+    return {
+        auth,
+        optionalAuth,
+        fileAuth,
+        requireRole,
+        adminOnly: requireRole("admin"),
+        editorOnly: requireRole("admin", "editor"),
+        issueTokens,
+        signFileToken,
+        revokeAllTokens,
+    };
+};
+
+module.exports = { canModify, ownerFilter, createAuth };
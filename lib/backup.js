@@ -0,0 +1,188 @@
+const yauzl = require("yauzl");
+const { ObjectId } = require("mongodb");
+
+// The version of the backup archive layout, written to its manifest.json
+const BACKUP_FORMAT = 1;
+
+/*
+ * The ways an import can handle documents that are already in the library
+ *
+ *  skip => keep the existing document
+ *  overwrite => replace the existing document with the imported one
+ *  merge => keep whichever was updated most recently, which is the existing one if
+ *      either has no updatedAt
+ */
+const IMPORT_MODES = ["skip", "overwrite", "merge"];
+
+/*
+ * Converts documents to JSON, keeping dates and ObjectIds in the same {$date} and
+ * {$oid} form that mongoexport uses, so they can be restored exactly
+ */
+const encodeDocuments = (documents) =>
+    JSON.stringify(
+        documents,
+        function (key, value) {
+            const raw = this[key];
+            if (raw instanceof Date) {
+                return { $date: raw.toISOString() };
+            }
+            if (raw instanceof ObjectId) {
+                return { $oid: raw.toHexString() };
+            }
+            return value;
+        },
+        4
+    );
+
+/*
+ * Reads documents written by encodeDocuments, turning {$date} and {$oid} values back
+ * into dates and ObjectIds
+ *
+ * @throws {Error} if the JSON, a date or an ObjectId is invalid
+ */
+const decodeDocuments = (json) =>
+    JSON.parse(json, (key, value) => {
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+            const keys = Object.keys(value);
+            if (keys.length === 1 && keys[0] === "$date") {
+                const date = new Date(value.$date);
+                if (isNaN(date)) {
+                    throw new Error("Invalid date " + value.$date);
+                }
+                return date;
+            }
+            if (keys.length === 1 && keys[0] === "$oid") {
+                return new ObjectId(value.$oid);
+            }
+        }
+        return value;
+    });
+
+/*
+ * Checks that decoded documents can be imported. Each one has to be an object with
+ * its own value of the field that identifies it, and a list of renditions if it has
+ * any.
+ *
+ * @param {*} documents - the decoded contents of an archive entry
+ * @param {string} key - the field that identifies a document, like _id
+ * @param {function} normalizeKey - turns the field into the value it's compared by,
+ *  like normalizeTag. Defaults to String.
+ *
+ * @returns {string|null} what is wrong with the documents, or null if nothing is
+ */
+const checkDocuments = (documents, key, normalizeKey = String) => {
+    if (!Array.isArray(documents)) {
+        return "must be a list of documents";
+    }
+
+    const seen = new Map();
+    for (const [i, doc] of documents.entries()) {
+        if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+            return "document " + i + " is not an object";
+        }
+        const value = doc[key] == null ? "" : normalizeKey(doc[key]);
+        if (value === "") {
+            return "document " + i + " has no " + key;
+        }
+        if (seen.has(value)) {
+            return (
+                "documents " +
+                seen.get(value) +
+                " and " +
+                i +
+                " have the same " +
+                key
+            );
+        }
+        if (doc.renditions !== undefined && !Array.isArray(doc.renditions)) {
+            return "document " + i + " has renditions that aren't a list";
+        }
+        seen.set(value, i);
+    }
+    return null;
+};
+
+/*
+ * Gets the storage key of a file entry in a backup archive, where files are kept under
+ * files/. Entries that aren't files, or whose names could escape the storage
+ * directory, have no key.
+ *
+ * @returns {string|null} the key, or null if the entry isn't a stored file
+ */
+const fileKeyOf = (name) => {
+    if (!name.startsWith("files/") || name.endsWith("/")) {
+        return null;
+    }
+
+    const key = name.slice("files/".length);
+    const parts = key.split("/");
+    if (parts.some((part) => !part || part === "." || part === "..")) {
+        return null;
+    }
+    return key;
+};
+
+/*
+ * Opens a ZIP archive for reading its entries by name
+ *
+ * @param {string} file - path to the archive
+ *
+ * @returns {Promise<object>} the names of the archive's entries, a function that reads
+ *  an entry into a Buffer, and a function to close the archive
+ */
+const readArchive = (file) =>
+    new Promise((resolve, reject) => {
+        yauzl.open(
+            file,
+            { lazyEntries: true, autoClose: false },
+            (err, zip) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                const entries = new Map();
+                zip.on("entry", (entry) => {
+                    entries.set(entry.fileName, entry);
+                    zip.readEntry();
+                });
+                zip.on("error", reject);
+                zip.on("end", () =>
+                    resolve({
+                        names: [...entries.keys()],
+                        read: (name) =>
+                            new Promise((resolveRead, rejectRead) => {
+                                zip.openReadStream(
+                                    entries.get(name),
+                                    (err, stream) => {
+                                        if (err) {
+                                            return rejectRead(err);
+                                        }
+
+                                        const chunks = [];
+                                        stream.on("data", (chunk) =>
+                                            chunks.push(chunk)
+                                        );
+                                        stream.on("error", rejectRead);
+                                        stream.on("end", () =>
+                                            resolveRead(Buffer.concat(chunks))
+                                        );
+                                    }
+                                );
+                            }),
+                        close: () => zip.close(),
+                    })
+                );
+                zip.readEntry();
+            }
+        );
+    });
+
+module.exports = {
+    BACKUP_FORMAT,
+    IMPORT_MODES,
+    encodeDocuments,
+    decodeDocuments,
+    checkDocuments,
+    fileKeyOf,
+    readArchive,
+};
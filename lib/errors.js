@@ -0,0 +1,134 @@
+const HttpStatus = require("http-status-codes");
+
+/*
+ * An error that is sent to the client. Every error response has the same shape:
+ *
+ *  {
+ *      error: true,
+ *      code: <machine readable code, like not_found>,
+ *      msg: <readable message, starting with "Error: ">,
+ *      ...details
+ *  }
+ *
+ * Any other error is logged, and sent as a 500 without its message so internal
+ * details aren't leaked.
+ */
+class ApiError extends Error {
+    /*
+     * @param {number} status - the HTTP status to send
+     * @param {string} code - the machine readable error code
+     * @param {string} message - the readable message
+     * @param {object} details - extra fields for the response, like a list of field
+     *  errors (optional)
+     */
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = "ApiError";
+        this.status = status;
+        this.code = code;
+        this.details = details || {};
+    }
+}
+
+const badRequest = (message, code = "bad_request", details) =>
+    new ApiError(HttpStatus.BAD_REQUEST, code, message, details);
+
+const unauthorized = (
+    message = "Authentication Error",
+    code = "unauthorized"
+) => new ApiError(HttpStatus.UNAUTHORIZED, code, message);
+
+const forbidden = (message = "Forbidden", code = "forbidden") =>
+    new ApiError(HttpStatus.FORBIDDEN, code, message);
+
+const notFound = (message = "Not Found", code = "not_found") =>
+    new ApiError(HttpStatus.NOT_FOUND, code, message);
+
+const conflict = (message, code = "conflict", details) =>
+    new ApiError(HttpStatus.CONFLICT, code, message, details);
+
+/*
+ * Creates the 400 error for a document that failed schema validation
+ *
+ * @param {string} kind - what the document is, like Image or Album
+ * @param {Array} errors - the field errors from validation
+ */
+const invalidDocument = (kind, errors) =>
+    badRequest("Invalid " + kind, "invalid_" + kind.toLowerCase(), {
+        errors,
+    });
+
+/*
+ * Checks if a Mongo error is from a duplicate key in a unique index
+ */
+const isDuplicateKey = (err) => err.code == 11000;
+
+// The codes of errors that don't come from an ApiError, by their status
+const STATUS_CODES = {
+    [HttpStatus.BAD_REQUEST]: "bad_request",
+    [HttpStatus.REQUEST_TOO_LONG]: "payload_too_large",
+    [HttpStatus.UNSUPPORTED_MEDIA_TYPE]: "unsupported_media_type",
+};
+
+/*
+ * Wraps an async route handler so that its errors are passed to the error handler,
+ * which Express 4 doesn't do by itself
+ */
+const asyncHandler = (handler) => (req, res, next) =>
+    Promise.resolve(handler(req, res, next)).catch(next);
+
+/*
+ * Sends a 404 for any request that no route matched
+ */
+const notFoundHandler = (req, res, next) =>
+    next(notFound("No endpoint " + req.method + " " + req.originalUrl));
+
+/*
+ * Sends every error in the same shape. ApiErrors are sent as they are, client errors
+ * from middleware like the body parser get a code from their status, and anything
+ * else is logged and sent as an internal error.
+ */
+const errorHandler = (err, req, res, next) => {
+    if (!(err instanceof ApiError)) {
+        if (err.expose && STATUS_CODES[err.status]) {
+            err = new ApiError(
+                err.status,
+                STATUS_CODES[err.status],
+                err.message
+            );
+        } else {
+            console.error(err);
+            err = new ApiError(
+                HttpStatus.INTERNAL_SERVER_ERROR,
+                "internal_error",
+                "Internal Server Error"
+            );
+        }
+    }
+
+    if (res.headersSent) {
+        // Part of the response has been sent, so it can only be cut short
+        return res.destroy();
+    }
+
+    return res.status(err.status).json({
+        error: true,
+        code: err.code,
+        msg: "Error: " + err.message,
+        ...err.details,
+    });
+};
+
+module.exports = {
+    ApiError,
+    badRequest,
+    unauthorized,
+    forbidden,
+    notFound,
+    conflict,
+    invalidDocument,
+    isDuplicateKey,
+    asyncHandler,
+    notFoundHandler,
+    errorHandler,
+};
@@ -0,0 +1,105 @@
+const { badRequest } = require("./errors");
+
+/*
+ * Reads a boolean from a form field, falling back to a default when it's missing
+ */
+const parseBooleanField = (value, defaultValue) => {
+    if (value === undefined || value === "") {
+        return defaultValue;
+    }
+
+    return value === true || value === "true" || value === "1";
+};
+
+/*
+ * Reads a list from a form field, which can either be repeated, a JSON array or
+ * a comma separated string
+ */
+const parseListField = (value) => {
+    if (value === undefined || value === "") {
+        return [];
+    }
+
+    if (Array.isArray(value)) {
+        return value;
+    }
+
+    try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) {
+            return parsed;
+        }
+    } catch (err) {
+        // Not JSON, so fall back to a comma separated list
+    }
+
+    return value
+        .split(",")
+        .map((item) => item.trim())
+        .filter((item) => item);
+};
+
+/*
+ * Reads a date from a query parameter
+ *
+ * @throws {ApiError} a bad request error if the date is invalid
+ */
+const parseDateQuery = (value, name) => {
+    const date = new Date(value);
+    if (isNaN(date)) {
+        throw badRequest(name + " must be a date", "invalid_query");
+    }
+    return date;
+};
+
+// The most documents a page can have
+const MAX_PAGE_SIZE = 100;
+
+/*
+ * Reads a page query parameter, falling back to a default when it's missing
+ *
+ * @throws {ApiError} a bad request error if it isn't a whole number from 1 to max
+ */
+const parsePageQuery = (value, name, defaultValue, max = Infinity) => {
+    if (value === undefined || value === "") {
+        return defaultValue;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+        throw badRequest(
+            name +
+                (max < Infinity
+                    ? " must be a whole number from 1 to " + max
+                    : " must be a whole number of at least 1"),
+            "invalid_query"
+        );
+    }
+    return number;
+};
+
+/*
+ * Reads the page of a list from the pageSize and pageNum query parameters. Pages
+ * have at most MAX_PAGE_SIZE documents.
+ *
+ * @returns {object} the skip and limit options for a find
+ * @throws {ApiError} a bad request error if either is invalid
+ */
+const parsePage = (query, defaultSize = 15) => {
+    const pageSize = parsePageQuery(
+        query.pageSize,
+        "pageSize",
+        defaultSize,
+        MAX_PAGE_SIZE
+    );
+    const pageNum = parsePageQuery(query.pageNum, "pageNum", 1);
+    return { skip: pageSize * (pageNum - 1), limit: pageSize };
+};
+
+module.exports = {
+    parseBooleanField,
+    parseListField,
+    parseDateQuery,
+    MAX_PAGE_SIZE,
+    parsePage,
+};
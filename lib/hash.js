@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+/*
+ * How many of the 64 bits of two perceptual hashes can differ for the images to
+ * still be considered near-duplicates
+ */
+const DUPLICATE_THRESHOLD = parseInt(process.env.DUPLICATE_THRESHOLD) || 10;
+
+/*
+ * Hashes the exact contents of an image, to find identical uploads
+ */
+const contentHash = (data) =>
+    crypto.createHash("sha256").update(data).digest("hex");
+
+/*
+ * Computes a 64 bit difference hash (dHash) of an image. Resized or re-encoded
+ * copies of an image get the same or a very similar hash.
+ *
+ * @returns {Promise<string>} the hash as 16 hex characters
+ */
+const perceptualHash = async (data) => {
+    const pixels = await sharp(data)
+        .rotate()
+        .grayscale()
+        .resize(9, 8, { fit: "fill" })
+        .raw()
+        .toBuffer();
+
+    let hash = "";
+    for (let row = 0; row < 8; row++) {
+        for (let nibble = 0; nibble < 2; nibble++) {
+            let value = 0;
+            for (let bit = 0; bit < 4; bit++) {
+                const col = nibble * 4 + bit;
+                const left = pixels[row * 9 + col];
+                const right = pixels[row * 9 + col + 1];
+                value = (value << 1) | (left > right ? 1 : 0);
+            }
+            hash += value.toString(16);
+        }
+    }
+
+    return hash;
+};
+
+/*
+ * Computes both hashes of an image
+ */
+const hashImage = async (data) => ({
+    contentHash: contentHash(data),
+    perceptualHash: await perceptualHash(data),
+});
+
+/*
+ * Counts the bits that differ between two perceptual hashes
+ */
+const hammingDistance = (a, b) => {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+};
+
+/*
+ * Groups images that are likely duplicates of each other, either because their
+ * contents are identical or their perceptual hashes are within the threshold.
+ *
+ * @param {Array} images - image documents with a contentHash and perceptualHash
+ * @param {number} threshold - the maximum perceptual hash distance
+ *
+ * @returns {Array} the groups with more than one image, each a list of images
+ */
+const groupDuplicates = (images, threshold = DUPLICATE_THRESHOLD) => {
+    const parents = images.map((_, i) => i);
+    const find = (i) =>
+        parents[i] === i ? i : (parents[i] = find(parents[i]));
+
+    for (let i = 0; i < images.length; i++) {
+        for (let j = i + 1; j < images.length; j++) {
+            const a = images[i];
+            const b = images[j];
+            const exact = a.contentHash && a.contentHash === b.contentHash;
+            const near =
+                a.perceptualHash &&
+                b.perceptualHash &&
+                hammingDistance(a.perceptualHash, b.perceptualHash) <=
+                    threshold;
+            if (exact || near) {
+                parents[find(i)] = find(j);
+            }
+        }
+    }
+
+    const groups = new Map();
+    images.forEach((image, i) => {
+        const root = find(i);
+        groups.set(root, [...(groups.get(root) || []), image]);
+    });
+
+    return [...groups.values()].filter((group) => group.length > 1);
+};
+
+module.exports = {
+    DUPLICATE_THRESHOLD,
+    hashImage,
+    hammingDistance,
+    groupDuplicates,
+};
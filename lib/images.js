@@ -0,0 +1,77 @@
+const path = require("path");
+const { createRenditions } = require("./renditions");
+const { clearTransformCache } = require("./transform");
+const { extractMetadata, prepareOriginal } = require("./metadata");
+const { generateFileName, originalNameOf } = require("./upload");
+
+/*
+ * Stores an uploaded image under a new random name, and generates its renditions.
+ * The image's EXIF metadata is extracted, and the stored copy is rotated upright.
+ *
+ * @param {object} image - an uploaded file from express-fileupload, which has
+ *  already been checked with validateUpload
+ * @param {object} storage - the storage driver
+ * @param {string} cacheDir - the transform cache directory
+ * @param {object} options
+ *  type => the image type returned from validateUpload
+ *  stripGps => whether to remove metadata from the stored image. Defaults to the
+ *      STRIP_GPS environment variable.
+ *
+ * @returns {Promise<object>} the stored file name, the original file name, the
+ *  dimensions of the image, its renditions and its EXIF metadata, with the
+ *  orientation as it was uploaded
+ */
+const storeImage = async (image, storage, cacheDir, options) => {
+    const fileName = generateFileName(options.type);
+    const exif = await extractMetadata(image.data);
+    const data = await prepareOriginal(image.data, exif, options.stripGps);
+    const { width, height, renditions } = await createRenditions(
+        data,
+        fileName
+    );
+
+    await storage.put(fileName, data);
+    try {
+        await Promise.all(
+            renditions.map((rendition) =>
+                storage.put(rendition.file, rendition.data)
+            )
+        );
+    } catch (err) {
+        await removeImage(fileName, renditions, storage, cacheDir);
+        throw err;
+    }
+
+    return {
+        fileName,
+        originalName: originalNameOf(image),
+        width,
+        height,
+        renditions: renditions.map(({ data, ...rendition }) => rendition),
+        exif,
+    };
+};
+
+/*
+ * Removes an image and all of its renditions and cached transforms. Files that are
+ * already missing are ignored.
+ *
+ * @param {string} fileName - the stored file name of the image
+ * @param {Array} renditions - the renditions returned from storeImage
+ * @param {object} storage - the storage driver
+ * @param {string} cacheDir - the transform cache directory
+ */
+const removeImage = async (fileName, renditions, storage, cacheDir) => {
+    const files = [fileName, ...(renditions || []).map((r) => r.file)];
+    await Promise.all(files.map((file) => storage.remove(file)));
+    await clearTransformCache(fileName, cacheDir);
+};
+
+/*
+ * Gets the stored file name of an image document. Documents created before file
+ * names were recorded only have the URL of the file.
+ */
+const storedFileName = (image) =>
+    image.fileName || (image.filePath && path.basename(image.filePath));
+
+module.exports = { storeImage, removeImage, storedFileName };
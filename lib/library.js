@@ -0,0 +1,378 @@
+const jwt = require("jsonwebtoken");
+const HttpStatus = require("http-status-codes");
+const { normalizeTag, descendantsOf } = require("./tags");
+const { FILE_FIELDS, validateImage } = require("./schema");
+const { escapeRegex, parseSearch, buildSearchFilter } = require("./search");
+const { DUPLICATE_THRESHOLD, hashImage, hammingDistance } = require("./hash");
+const { canModify } = require("./auth");
+const { parseDateQuery } = require("./fields");
+const {
+    ApiError,
+    badRequest,
+    unauthorized,
+    forbidden,
+    notFound,
+    invalidDocument,
+} = require("./errors");
+
+/*
+ * The filter for images that anyone can see. Images from before visibility was added
+ * don't have the flag, and are public.
+ */
+const publicImageFilter = { public: { $ne: false } };
+
+/*
+ * Gets the filter for the images of an album that a share link to it shows. Those are
+ * its public images and the private images of its owner, so private images of other
+ * users are never shared through someone else's album.
+ */
+const sharedAlbumFilter = (album) => ({
+    _id: { $in: album.images },
+    $or: [publicImageFilter, { ownerEmail: album.ownerEmail }],
+});
+
+/*
+ * The fields of an image that are needed to show it in a list of duplicates
+ */
+const duplicateProjection = {
+    title: 1,
+    filePath: 1,
+    renditions: 1,
+    contentHash: 1,
+    perceptualHash: 1,
+};
+
+/*
+ * Creates the helpers for reading and writing the library that more than one group
+ * of routes needs
+ *
+ * @param {object} options
+ *  images, tags, albums, shares => the collections
+ *  sessionSecret => the secret share tokens are signed with
+ *
+ * @returns {object} the helpers
+ */
+const createLibrary = ({ images, tags, albums, shares, sessionSecret }) => {
+    /*
+     * Prepares an image document from a request body for writing. createdAt,
+     * updatedAt, version and ownerEmail are dropped since the server owns them, as are
+     * the FILE_FIELDS, which are only set from an upload. Tags are normalized.
+     *
+     * @param {object} body - the image document from the request
+     * @param {string} mode - one of create, update, upload, patch or bulk, see
+     *  validateImage
+     *
+     * @returns {Promise<object>} the image
+     * @throws {ApiError} a 400 listing each field error if the image is invalid. Every
+     *  tag has to exist in the tags collection.
+     */
+    const checkImage = async (body, mode) => {
+        const { createdAt, updatedAt, version, ownerEmail, ...image } = body;
+        FILE_FIELDS.forEach((field) => delete image[field]);
+        if (Array.isArray(image.tags)) {
+            image.tags = image.tags.map((tag) =>
+                typeof tag === "string" ? normalizeTag(tag) : tag
+            );
+        }
+
+        const errors = validateImage(image, mode);
+        if (!errors.length && image.tags && image.tags.length) {
+            const found = await tags
+                .find({ tag: { $in: image.tags } })
+                .toArray();
+            const existing = new Set(found.map((doc) => doc.tag));
+            image.tags.forEach((tag, i) => {
+                if (!existing.has(tag)) {
+                    errors.push({
+                        field: "tags." + i,
+                        msg: "tag " + tag + " does not exist",
+                    });
+                }
+            });
+        }
+
+        if (errors.length) {
+            throw invalidDocument("Image", errors);
+        }
+        return image;
+    };
+
+    /*
+     * Gets the error for an image that couldn't be changed. That's a 404 if it doesn't
+     * exist, a 403 if the user can't change it, or a 412 if it didn't match the version
+     * in the If-Match header.
+     *
+     * @returns {Promise<ApiError>} the error to throw
+     */
+    const imageNotUpdated = async (user, _id) => {
+        const image = await images.findOne({ _id });
+        if (image == null) {
+            return notFound("Image not found");
+        }
+
+        if (!canModify(user, image)) {
+            return forbidden("You can only change your own images");
+        }
+
+        return new ApiError(
+            HttpStatus.PRECONDITION_FAILED,
+            "version_mismatch",
+            "Image has been changed since it was fetched, fetch it again"
+        );
+    };
+
+    /*
+     * Hashes an uploaded image, and finds the images in the library that are exact or
+     * near duplicates of it. This compares against every image, which is fine for
+     * libraries of a few thousand images.
+     *
+     * @param {Buffer} data - the uploaded image
+     * @param {string} policy - warn or reject
+     *
+     * @returns {Promise<object>} the hashes of the upload, the duplicates each with
+     *  whether they're exact and the distance between the perceptual hashes, and
+     *  whether the upload should be rejected because of them
+     */
+    const checkDuplicates = async (data, policy) => {
+        const hashes = await hashImage(data);
+        const candidates = await images
+            .find(
+                {
+                    $or: [
+                        { contentHash: hashes.contentHash },
+                        { perceptualHash: { $exists: true } },
+                    ],
+                },
+                { projection: duplicateProjection }
+            )
+            .toArray();
+
+        const duplicates = candidates
+            .map((image) => ({
+                ...image,
+                exact: image.contentHash === hashes.contentHash,
+                distance: image.perceptualHash
+                    ? hammingDistance(
+                          image.perceptualHash,
+                          hashes.perceptualHash
+                      )
+                    : null,
+            }))
+            .filter(
+                (image) => image.exact || image.distance <= DUPLICATE_THRESHOLD
+            );
+
+        return {
+            hashes,
+            duplicates,
+            rejected: policy === "reject" && duplicates.length > 0,
+        };
+    };
+
+    /*
+     * Builds the images collection filter for a search query, a list of tags and the
+     * EXIF metadata filters. Filtering by a tag also matches images tagged with any
+     * of its descendants. Private images are left out unless there is a user.
+     *
+     * @returns {Promise<object>} the filter
+     * @throws {ApiError} a bad request error if the query is invalid
+     */
+    const buildImageFilter = async (query, user) => {
+        let requested = query.tags || [];
+        requested = (Array.isArray(requested) ? requested : [requested]).map(
+            normalizeTag
+        );
+
+        const filter = buildSearchFilter(parseSearch(query.search));
+        const conditions = [];
+        if (!user) {
+            conditions.push(publicImageFilter);
+        }
+        if (query.takenAfter || query.takenBefore) {
+            const takenAt = {};
+            if (query.takenAfter) {
+                takenAt.$gte = parseDateQuery(query.takenAfter, "takenAfter");
+            }
+            if (query.takenBefore) {
+                takenAt.$lte = parseDateQuery(query.takenBefore, "takenBefore");
+            }
+            conditions.push({ "exif.takenAt": takenAt });
+        }
+
+        if (query.camera) {
+            const camera = {
+                $regex: escapeRegex(String(query.camera)),
+                $options: "i",
+            };
+            conditions.push({
+                $or: [{ "exif.make": camera }, { "exif.model": camera }],
+            });
+        }
+
+        if (query.bbox) {
+            // Searching by position would give away where public images were taken
+            if (!user) {
+                throw unauthorized("Log in to search by location");
+            }
+
+            const [minLng, minLat, maxLng, maxLat] = String(query.bbox)
+                .split(",")
+                .map(Number);
+            if (
+                ![minLng, maxLng].every((lng) => lng >= -180 && lng <= 180) ||
+                ![minLat, maxLat].every((lat) => lat >= -90 && lat <= 90)
+            ) {
+                throw badRequest(
+                    "bbox must be minLongitude,minLatitude,maxLongitude,maxLatitude",
+                    "invalid_query"
+                );
+            }
+
+            conditions.push({
+                location: {
+                    $geoWithin: {
+                        $geometry: {
+                            type: "Polygon",
+                            coordinates: [
+                                [
+                                    [minLng, minLat],
+                                    [maxLng, minLat],
+                                    [maxLng, maxLat],
+                                    [minLng, maxLat],
+                                    [minLng, minLat],
+                                ],
+                            ],
+                        },
+                    },
+                },
+            });
+        }
+
+        if (conditions.length) {
+            filter.$and = [...(filter.$and || []), ...conditions];
+        }
+
+        if (!requested.length) {
+            return filter;
+        }
+
+        const tagDocuments = await tags.find().toArray();
+        filter.$and = [
+            ...(filter.$and || []),
+            ...requested.map((tag) => ({
+                tags: { $in: [tag, ...descendantsOf(tagDocuments, tag)] },
+            })),
+        ];
+        return filter;
+    };
+
+    /*
+     * Finds which of the given image ids a user can't add to an album. Users can add
+     * public images, and private images they can change.
+     *
+     * @returns {Promise<Array>} the ids that aren't in the images collection, or are
+     *  private images of someone else
+     */
+    const missingImages = async (ids, user) => {
+        if (!ids.length) {
+            return [];
+        }
+
+        const found = await images
+            .find(
+                { _id: { $in: ids } },
+                { projection: { _id: 1, ownerEmail: 1, public: 1 } }
+            )
+            .toArray();
+        const existing = new Set(
+            found
+                .filter(
+                    (image) => image.public !== false || canModify(user, image)
+                )
+                .map((image) => image._id)
+        );
+        return ids.filter((id) => !existing.has(id));
+    };
+
+    /*
+     * Removes images from every album they are in, clearing any album covers they
+     * were used for
+     */
+    const removeFromAlbums = (ids) => {
+        return Promise.all([
+            albums.updateMany(
+                { cover: { $in: ids } },
+                { $set: { cover: null } }
+            ),
+            albums.updateMany(
+                { images: { $in: ids } },
+                {
+                    $pull: { images: { $in: ids } },
+                    $set: { updatedAt: new Date() },
+                }
+            ),
+        ]);
+    };
+
+    /*
+     * Finds the share that a share token is for
+     *
+     * @returns {Promise<object>} the share, or null if the token is invalid, expired
+     *  or revoked
+     */
+    const findShare = async (token) => {
+        let decoded;
+        try {
+            decoded = jwt.verify(String(token), sessionSecret);
+        } catch (err) {
+            return null;
+        }
+
+        if (!decoded.share) {
+            return null;
+        }
+
+        return shares.findOne({
+            _id: decoded.share,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        });
+    };
+
+    /*
+     * Gets the ids of the images that a share gives access to
+     */
+    const sharedImageIds = async (share) => {
+        if (share.type === "image") {
+            return [share.target];
+        }
+
+        const album = await albums.findOne({ _id: share.target });
+        if (album == null) {
+            return [];
+        }
+
+        const shared = await images
+            .find(sharedAlbumFilter(album), { projection: { _id: 1 } })
+            .toArray();
+        return shared.map((image) => image._id);
+    };
+
+    return {
+        checkImage,
+        imageNotUpdated,
+        checkDuplicates,
+        buildImageFilter,
+        missingImages,
+        removeFromAlbums,
+        findShare,
+        sharedImageIds,
+    };
+};
+
+module.exports = {
+    publicImageFilter,
+    sharedAlbumFilter,
+    duplicateProjection,
+    createLibrary,
+};
@@ -0,0 +1,91 @@
+/*
+ * Creates a limiter for failed logins, which locks out an IP address or an account
+ * after too many failures in a row. Counts are kept in a Mongo collection so they
+ * are shared between every instance of the server.
+ *
+ * @param {object} collection - the Mongo collection to keep counts in
+ * @param {object} options
+ *  maxPerIp => failures from one IP address before it's locked out
+ *  maxPerAccount => failures for one account before it's locked out
+ *  windowMs => how long failures are counted for
+ *  lockoutMs => how long a lockout lasts
+ *
+ * @returns {object} the limiter
+ */
+const createLoginLimiter = (collection, options) => {
+    const keysFor = (ip, email) => [
+        { _id: `ip:${ip}`, max: options.maxPerIp },
+        { _id: `account:${email}`, max: options.maxPerAccount },
+    ];
+
+    return {
+        /*
+         * Checks if a login attempt is allowed
+         *
+         * @returns {Promise<number>} how many seconds until it is allowed, or 0 if it
+         *  is allowed now
+         */
+        check: async (ip, email) => {
+            const now = new Date();
+            const locked = await collection
+                .find({
+                    _id: { $in: keysFor(ip, email).map((key) => key._id) },
+                    lockedUntil: { $gt: now },
+                })
+                .toArray();
+            if (!locked.length) {
+                return 0;
+            }
+
+            const until = Math.max(...locked.map((doc) => doc.lockedUntil));
+            return Math.ceil((until - now) / 1000);
+        },
+
+        /*
+         * Counts a failed login, locking out the IP address or account if it has
+         * failed too many times
+         */
+        fail: async (ip, email) => {
+            const now = new Date();
+            for (const key of keysFor(ip, email)) {
+                const { value } = await collection.findOneAndUpdate(
+                    { _id: key._id },
+                    {
+                        $inc: { count: 1 },
+                        $setOnInsert: {
+                            expiresAt: new Date(
+                                now.getTime() + options.windowMs
+                            ),
+                        },
+                    },
+                    { upsert: true, returnOriginal: false }
+                );
+
+                if (value.count >= key.max) {
+                    const lockedUntil = new Date(
+                        now.getTime() + options.lockoutMs
+                    );
+                    await collection.updateOne(
+                        { _id: key._id },
+                        {
+                            $set: {
+                                count: 0,
+                                lockedUntil,
+                                expiresAt: lockedUntil,
+                            },
+                        }
+                    );
+                }
+            }
+        },
+
+        /*
+         * Clears the failures of an account after a successful login
+         */
+        succeed: async (email) => {
+            await collection.deleteOne({ _id: `account:${email}` });
+        },
+    };
+};
+
+module.exports = { createLoginLimiter };
@@ -0,0 +1,121 @@
+const exifr = require("exifr");
+const sharp = require("sharp");
+
+/*
+ * Whether GPS data is stripped from stored images by default. Can be overridden
+ * per upload.
+ */
+const STRIP_GPS = process.env.STRIP_GPS === "true";
+
+/*
+ * Extracts the EXIF metadata we keep from an image
+ *
+ * @param {Buffer} data - the contents of the image
+ *
+ * @returns {Promise<object>} the capture date, camera, lens, GPS position and
+ *  orientation of the image. Missing values are left out, and images without any
+ *  EXIF data give an empty object.
+ */
+const extractMetadata = async (data) => {
+    let tags;
+    try {
+        tags = await exifr.parse(data, {
+            tiff: true,
+            exif: true,
+            gps: true,
+            translateValues: false,
+            reviveValues: true,
+        });
+    } catch (err) {
+        // Formats exifr doesn't understand just don't have any metadata
+        return {};
+    }
+
+    if (!tags) {
+        return {};
+    }
+
+    const takenAt = tags.DateTimeOriginal || tags.CreateDate;
+    const metadata = {
+        takenAt: takenAt instanceof Date && !isNaN(takenAt) ? takenAt : null,
+        make: tags.Make ? String(tags.Make).trim() : null,
+        model: tags.Model ? String(tags.Model).trim() : null,
+        lens: tags.LensModel ? String(tags.LensModel).trim() : null,
+        orientation: tags.Orientation || null,
+        latitude: Number.isFinite(tags.latitude) ? tags.latitude : null,
+        longitude: Number.isFinite(tags.longitude) ? tags.longitude : null,
+        altitude: Number.isFinite(tags.GPSAltitude) ? tags.GPSAltitude : null,
+    };
+
+    return Object.fromEntries(
+        Object.entries(metadata).filter(([, value]) => value !== null)
+    );
+};
+
+/*
+ * Prepares an uploaded image for storage, by rotating it upright according to its
+ * EXIF orientation and optionally removing its metadata so GPS positions aren't
+ * served to anyone who downloads it. Images that don't need either are returned
+ * untouched.
+ *
+ * @param {Buffer} data - the contents of the image
+ * @param {object} metadata - the metadata returned from extractMetadata
+ * @param {boolean} stripGps - whether to remove the metadata from the image
+ *
+ * @returns {Promise<Buffer>} the contents of the image to store
+ */
+const prepareOriginal = async (data, metadata, stripGps = STRIP_GPS) => {
+    const rotate = metadata.orientation > 1;
+    const hasGps = metadata.latitude !== undefined;
+    if (!rotate && !(stripGps && hasGps)) {
+        return data;
+    }
+
+    const image = sharp(data).rotate();
+    return (stripGps
+        ? image.keepIccProfile()
+        : image.keepMetadata()
+    ).toBuffer();
+};
+
+/*
+ * Gets the GeoJSON point of an image's GPS position, for geographic queries
+ */
+const locationOf = (metadata) => {
+    if (
+        !metadata ||
+        !Number.isFinite(metadata.latitude) ||
+        !Number.isFinite(metadata.longitude)
+    ) {
+        return null;
+    }
+
+    return {
+        type: "Point",
+        coordinates: [metadata.longitude, metadata.latitude],
+    };
+};
+
+// The fields of an image's metadata that give away where it was taken
+const GPS_FIELDS = ["latitude", "longitude", "altitude"];
+
+/*
+ * Removes the GPS position of an image, for responses to people who aren't logged in
+ */
+const withoutLocation = (image) => {
+    const result = { ...image };
+    delete result.location;
+    if (result.exif) {
+        result.exif = { ...result.exif };
+        GPS_FIELDS.forEach((field) => delete result.exif[field]);
+    }
+    return result;
+};
+
+module.exports = {
+    STRIP_GPS,
+    extractMetadata,
+    prepareOriginal,
+    locationOf,
+    withoutLocation,
+};
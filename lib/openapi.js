@@ -0,0 +1,971 @@
+const {
+    imageSchema,
+    imageInputSchema,
+    METADATA_FIELDS,
+    albumSchema,
+    webhookSchema,
+} = require("./schema");
+const { ROLES } = require("./users");
+const { IMPORT_MODES } = require("./backup");
+const { ALLOWED_SIZES, FITS, FORMATS } = require("./transform");
+const { MAX_PAGE_SIZE } = require("./fields");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ "application/json": { schema } });
+const arrayOf = (schema) => ({ type: "array", items: schema });
+const string = (description) => ({ type: "string", description });
+const boolean = (description) => ({ type: "boolean", description });
+const integer = (description) => ({ type: "integer", description });
+const stringList = (description) => arrayOf(string(description));
+const body = (properties, required = []) => ({
+    type: "object",
+    required,
+    properties,
+});
+
+// The fields the server adds to every image and album document
+const serverFields = {
+    ownerEmail: { type: "string", description: "who created the document" },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+};
+
+const schemas = {
+    Error: {
+        type: "object",
+        required: ["error", "code", "msg"],
+        properties: {
+            error: { const: true },
+            code: string("machine readable error code, like not_found"),
+            msg: string('readable message, starting with "Error: "'),
+            errors: arrayOf({
+                type: "object",
+                properties: {
+                    field: { type: "string" },
+                    msg: { type: "string" },
+                },
+            }),
+            duplicates: arrayOf(ref("Duplicate")),
+        },
+    },
+    Message: {
+        type: "object",
+        required: ["msg"],
+        properties: { msg: { type: "string" } },
+    },
+    ImageInput: imageInputSchema,
+    NewImage: {
+        ...imageInputSchema,
+        properties: {
+            ...imageInputSchema.properties,
+            fileName: string("returned from /image/storage"),
+            filePath: string("the URL returned from /image/storage"),
+        },
+    },
+    Image: {
+        ...imageSchema,
+        // Responses can add fields, like the duplicates of an upload
+        additionalProperties: true,
+        required: ["_id", "title", "filePath"],
+        properties: {
+            ...imageSchema.properties,
+            ...serverFields,
+            version: integer("increases on every change, and is the ETag"),
+            location: {
+                type: "object",
+                description: "GeoJSON point of where the image was taken",
+                properties: {
+                    type: { const: "Point" },
+                    coordinates: arrayOf({ type: "number" }),
+                },
+            },
+            score: { type: "number" },
+            highlights: { type: "object" },
+        },
+    },
+    Duplicate: {
+        type: "object",
+        properties: {
+            _id: { type: "string" },
+            title: { type: "string" },
+            filePath: { type: "string" },
+            renditions: imageSchema.properties.renditions,
+            exact: { type: "boolean" },
+            distance: { type: ["integer", "null"] },
+        },
+    },
+    StoredFile: {
+        type: "object",
+        properties: {
+            msg: { type: "string" },
+            url: { type: "string" },
+            fileName: { type: "string" },
+            originalName: { type: "string" },
+            width: { type: "integer" },
+            height: { type: "integer" },
+            renditions: imageSchema.properties.renditions,
+            exif: imageSchema.properties.exif,
+            contentHash: { type: "string" },
+            perceptualHash: { type: "string" },
+            duplicates: arrayOf(ref("Duplicate")),
+        },
+    },
+    BulkReport: {
+        type: "object",
+        properties: {
+            msg: { type: "string" },
+            succeeded: { type: "integer" },
+            failed: { type: "integer" },
+            results: arrayOf({
+                type: "object",
+                properties: {
+                    _id: { type: "string" },
+                    ok: { type: "boolean" },
+                    status: { type: "integer" },
+                    msg: { type: "string" },
+                },
+            }),
+        },
+    },
+    Tag: {
+        type: "object",
+        properties: {
+            _id: { type: "string" },
+            tag: { type: "string" },
+            parent: { type: ["string", "null"] },
+            path: string("the tag and its parents, like animals > dog"),
+            count: integer("how many images use the tag"),
+        },
+    },
+    AlbumInput: albumSchema,
+    Album: {
+        ...albumSchema,
+        properties: {
+            ...albumSchema.properties,
+            ...serverFields,
+            coverImage: { anyOf: [ref("Image"), { type: "null" }] },
+            items: arrayOf(ref("Image")),
+        },
+    },
+    Share: {
+        type: "object",
+        properties: {
+            _id: { type: "string" },
+            type: { enum: ["image", "album"] },
+            target: { type: "string" },
+            createdBy: { type: "string" },
+            createdAt: { type: "string", format: "date-time" },
+            expiresAt: { type: "string", format: "date-time" },
+            revokedAt: { type: ["string", "null"], format: "date-time" },
+            token: { type: "string" },
+            url: { type: "string" },
+        },
+    },
+    User: {
+        type: "object",
+        properties: {
+            email: { type: "string" },
+            name: { type: "string" },
+            role: { enum: ROLES },
+        },
+    },
+    Tokens: {
+        type: "object",
+        properties: {
+            token: string("access token, sent in the token header"),
+            refreshToken: string("for getting new access tokens"),
+        },
+    },
+    AuditEntry: {
+        type: "object",
+        properties: {
+            _id: { type: "string" },
+            actor: string("email of who made the change"),
+            role: { enum: ROLES },
+            action: string("what was done, like image.update"),
+            type: { enum: ["image", "tag", "file"] },
+            target: string("the id, tag name or file name"),
+            changes: arrayOf(
+                body({ field: { type: "string" }, before: {}, after: {} })
+            ),
+            createdAt: { type: "string", format: "date-time" },
+        },
+    },
+    Revision: {
+        type: "object",
+        properties: {
+            _id: { type: "string" },
+            imageId: { type: "string" },
+            version: { type: "integer" },
+            fields: body(
+                Object.fromEntries(
+                    METADATA_FIELDS.map((field) => [
+                        field,
+                        imageSchema.properties[field],
+                    ])
+                )
+            ),
+            actor: { type: ["string", "null"] },
+            action: { type: ["string", "null"] },
+            createdAt: { type: ["string", "null"], format: "date-time" },
+        },
+    },
+    TrashItem: {
+        type: "object",
+        properties: {
+            _id: { type: "string" },
+            type: { enum: ["image", "file"] },
+            target: string("the id of the image, or the file name"),
+            ownerEmail: { type: "string" },
+            image: { anyOf: [ref("Image"), { type: "null" }] },
+            albums: stringList("id of an album the image was in"),
+            files: stringList("stored file name"),
+            imageId: {
+                type: ["string", "null"],
+                description: "the image that used the file",
+            },
+            deletedBy: { type: "string" },
+            deletedAt: { type: "string", format: "date-time" },
+            purgeAt: { type: "string", format: "date-time" },
+        },
+    },
+    WebhookInput: webhookSchema,
+    Webhook: {
+        ...webhookSchema,
+        properties: {
+            ...webhookSchema.properties,
+            secret: string("only returned when the webhook is registered"),
+            createdBy: { type: "string" },
+            createdAt: { type: "string", format: "date-time" },
+            updatedAt: { type: "string", format: "date-time" },
+        },
+    },
+    WebhookDelivery: {
+        type: "object",
+        properties: {
+            _id: { type: "string" },
+            webhookId: { type: "string" },
+            event: { type: "string" },
+            payload: body({
+                id: string("the id of the delivery"),
+                event: { type: "string" },
+                type: { enum: ["image", "tag", "file"] },
+                target: { type: "string" },
+                actor: { type: "string" },
+                changes: arrayOf(
+                    body({ field: { type: "string" }, before: {}, after: {} })
+                ),
+                document: {
+                    type: ["object", "null"],
+                    description: "the document after the change",
+                },
+                occurredAt: { type: "string", format: "date-time" },
+            }),
+            status: { enum: ["pending", "delivered", "failed"] },
+            attempts: arrayOf(
+                body({
+                    at: { type: "string", format: "date-time" },
+                    status: { type: ["integer", "null"] },
+                    error: { type: ["string", "null"] },
+                })
+            ),
+            nextAttemptAt: { type: "string", format: "date-time" },
+            deliveredAt: { type: "string", format: "date-time" },
+            createdAt: { type: "string", format: "date-time" },
+        },
+    },
+    ImportSummary: {
+        type: "object",
+        properties: {
+            created: { type: "integer" },
+            replaced: { type: "integer" },
+            skipped: { type: "integer" },
+            conflicts: arrayOf({ type: "string" }),
+        },
+    },
+};
+
+// The query parameters for filtering images, shared by the image list endpoints
+const imageFilter = {
+    search: string('words, "quoted phrases" and prefix* terms'),
+    tags: stringList("tags, which also match their child tags"),
+    takenAfter: { type: "string", format: "date-time" },
+    takenBefore: { type: "string", format: "date-time" },
+    camera: string("part of the camera make or model"),
+    bbox: string(
+        "minLongitude,minLatitude,maxLongitude,maxLatitude, only for logged in users"
+    ),
+};
+const page = {
+    pageSize: {
+        ...integer("size of page, defaults to 15"),
+        minimum: 1,
+        maximum: MAX_PAGE_SIZE,
+    },
+    pageNum: { ...integer("page number, defaults to 1"), minimum: 1 },
+};
+const selection = {
+    ids: stringList("image ids"),
+    filter: { type: "object", properties: imageFilter },
+};
+
+/*
+ * Builds one operation
+ *
+ * @param {object} options
+ *  summary => what the operation does
+ *  access => public, optional (more for logged in users), user, editor or admin
+ *  query => the query parameters, by name
+ *  request => the JSON request body schema
+ *  form => the multipart form schema
+ *  response => the response schema
+ *  status => the success status. Default 200
+ *  content => the success content type. Default application/json
+ *  errors => the other error statuses it can send
+ */
+const operation = ({
+    summary,
+    access = "public",
+    query = {},
+    request,
+    form,
+    response = ref("Message"),
+    status = 200,
+    content = "application/json",
+    errors = [],
+}) => {
+    const op = { summary, parameters: [], responses: {} };
+    if (access === "optional") {
+        // Invalid tokens are ignored, so these only send a 401 when they list it
+        op.security = [{}, { token: [] }];
+    } else if (access !== "public") {
+        op.security = [{ token: [] }];
+        errors = [401, ...(access === "user" ? [] : [403]), ...errors];
+    }
+
+    op.parameters = Object.entries(query).map(([name, schema]) => ({
+        name,
+        in: "query",
+        schema,
+    }));
+    if (request) {
+        op.requestBody = { required: true, content: json(request) };
+        errors = [400, ...errors];
+    }
+    if (form) {
+        op.requestBody = {
+            required: true,
+            content: { "multipart/form-data": { schema: form } },
+        };
+        errors = [400, ...errors];
+    }
+
+    op.responses[status] = {
+        description: summary,
+        content: { [content]: { schema: response } },
+    };
+    [...new Set([...errors, 500])].sort().forEach((code) => {
+        op.responses[code] = { $ref: "#/components/responses/Error" };
+    });
+    return op;
+};
+
+const imageForm = body({
+    image: { type: "string", format: "binary" },
+    stripGps: boolean("remove the metadata from the served file"),
+    onDuplicate: { enum: ["warn", "reject"] },
+});
+
+const paths = {
+    "/": {
+        get: operation({
+            summary: "Checks the health of the API",
+            response: body({ msg: {}, service: {} }),
+        }),
+    },
+    "/openapi.json": {
+        get: operation({
+            summary: "Gets this document",
+            response: { type: "object" },
+        }),
+    },
+    "/auth/login": {
+        post: operation({
+            summary: "Logs in",
+            request: body({ email: {}, password: {} }, ["email", "password"]),
+            response: ref("Tokens"),
+            errors: [401, 429],
+        }),
+    },
+    "/auth/refresh": {
+        post: operation({
+            summary: "Swaps a refresh token for new tokens",
+            request: body({ refreshToken: {} }, ["refreshToken"]),
+            response: ref("Tokens"),
+            errors: [401],
+        }),
+    },
+    "/auth/logout": {
+        post: operation({
+            summary: "Revokes a refresh token, or every token of the user",
+            request: body({ refreshToken: {}, all: boolean() }),
+            errors: [401],
+        }),
+    },
+    "/auth/session": {
+        get: operation({
+            summary: "Gets the logged in user",
+            access: "user",
+            response: body({ msg: {}, user: ref("User") }),
+        }),
+    },
+    "/auth/file-token": {
+        get: operation({
+            summary: "Gets a short lived token for loading private files",
+            access: "user",
+            response: body({ msg: {}, token: {} }),
+        }),
+    },
+    "/auth/invites": {
+        post: operation({
+            summary: "Invites a user",
+            access: "admin",
+            request: body({ email: {}, role: { enum: ROLES } }, ["email"]),
+            response: body({ msg: {}, token: {} }),
+            errors: [409],
+        }),
+    },
+    "/auth/register": {
+        post: operation({
+            summary: "Registers with an invite token",
+            request: body({ token: {}, name: {}, password: {} }, [
+                "token",
+                "name",
+                "password",
+            ]),
+            errors: [401, 409],
+        }),
+    },
+    "/auth/password": {
+        put: operation({
+            summary: "Changes the password of the logged in user",
+            access: "user",
+            request: body({ currentPassword: {}, newPassword: {} }, [
+                "currentPassword",
+                "newPassword",
+            ]),
+        }),
+    },
+    "/auth/password/reset-token": {
+        post: operation({
+            summary: "Creates a password reset token for a user",
+            access: "admin",
+            request: body({ email: {} }, ["email"]),
+            response: body({ msg: {}, token: {} }),
+            errors: [404],
+        }),
+    },
+    "/auth/password/reset": {
+        post: operation({
+            summary: "Resets a password with a reset token",
+            request: body({ token: {}, newPassword: {} }, [
+                "token",
+                "newPassword",
+            ]),
+            errors: [401],
+        }),
+    },
+    "/users": {
+        get: operation({
+            summary: "Lists the users",
+            access: "admin",
+            response: arrayOf(ref("User")),
+        }),
+        put: operation({
+            summary: "Changes the role of a user",
+            access: "admin",
+            request: body({ email: {}, role: { enum: ROLES } }, [
+                "email",
+                "role",
+            ]),
+            errors: [404],
+        }),
+        delete: operation({
+            summary: "Deletes a user",
+            access: "admin",
+            request: body({ email: {} }, ["email"]),
+            errors: [404],
+        }),
+    },
+    "/image": {
+        post: operation({
+            summary: "Uploads an image and creates its document",
+            access: "editor",
+            form: {
+                ...imageForm,
+                required: ["image", "title"],
+                properties: {
+                    ...imageForm.properties,
+                    title: { type: "string" },
+                    description: { type: "string" },
+                    tags: stringList(),
+                    public: { type: "boolean" },
+                },
+            },
+            response: {
+                allOf: [
+                    ref("Image"),
+                    body({ duplicates: arrayOf(ref("Duplicate")) }),
+                ],
+            },
+            status: 201,
+            errors: [409, 413, 415, 422],
+        }),
+    },
+    "/image/duplicates": {
+        get: operation({
+            summary: "Lists groups of likely duplicate images",
+            access: "user",
+            query: { threshold: integer("0 to 64") },
+            response: arrayOf(arrayOf(ref("Duplicate"))),
+        }),
+    },
+    "/image/db/pages": {
+        get: operation({
+            summary: "Counts the pages of images",
+            access: "optional",
+            query: { pageSize: page.pageSize, ...imageFilter },
+            response: { type: "integer" },
+            errors: [400, 401],
+        }),
+    },
+    "/image/db": {
+        get: operation({
+            summary: "Gets an image by id, or a page of images",
+            access: "optional",
+            query: { id: string(), ...page, ...imageFilter },
+            response: { anyOf: [ref("Image"), arrayOf(ref("Image"))] },
+            errors: [400, 401, 404],
+        }),
+        post: operation({
+            summary: "Creates the document of an uploaded image",
+            access: "editor",
+            request: ref("NewImage"),
+            errors: [409],
+        }),
+        put: operation({
+            summary: "Replaces the title, description and tags of an image",
+            access: "editor",
+            request: ref("ImageInput"),
+            errors: [404, 412],
+        }),
+        patch: operation({
+            summary: "Updates only the given fields of an image",
+            access: "editor",
+            request: ref("ImageInput"),
+            response: ref("Image"),
+            errors: [404, 412],
+        }),
+        delete: operation({
+            summary: "Moves an image and its files to the trash",
+            access: "editor",
+            request: body({ _id: {} }, ["_id"]),
+            errors: [404],
+        }),
+    },
+    "/image/revisions": {
+        get: operation({
+            summary: "Lists the revisions of an image, newest first",
+            access: "user",
+            query: { id: string() },
+            response: arrayOf(ref("Revision")),
+            errors: [400],
+        }),
+    },
+    "/image/revisions/restore": {
+        post: operation({
+            summary: "Restores the metadata of an image to a revision",
+            access: "editor",
+            request: body({ _id: {}, version: integer() }, ["_id", "version"]),
+            response: ref("Image"),
+            errors: [404, 412],
+        }),
+    },
+    "/image/bulk/tags": {
+        post: operation({
+            summary: "Adds and removes tags on many images",
+            access: "editor",
+            request: body({
+                ...selection,
+                add: stringList(),
+                remove: stringList(),
+            }),
+            response: ref("BulkReport"),
+        }),
+    },
+    "/image/bulk": {
+        patch: operation({
+            summary: "Sets the same fields on many images",
+            access: "editor",
+            request: body({ ...selection, fields: ref("ImageInput") }, [
+                "fields",
+            ]),
+            response: ref("BulkReport"),
+        }),
+        delete: operation({
+            summary: "Moves many images to the trash",
+            access: "editor",
+            request: body(selection),
+            response: ref("BulkReport"),
+        }),
+    },
+    "/image/bulk/download": {
+        post: operation({
+            summary: "Downloads the files of many images as a ZIP archive",
+            access: "user",
+            request: body(selection),
+            response: { type: "string", format: "binary" },
+            content: "application/zip",
+        }),
+    },
+    "/files/images/{key}": {
+        get: operation({
+            summary: "Gets a stored file, optionally transformed",
+            access: "optional",
+            query: {
+                token: string("a file token from /auth/file-token"),
+                share: string("a share token"),
+                w: { enum: ALLOWED_SIZES },
+                h: { enum: ALLOWED_SIZES },
+                fit: { enum: FITS },
+                format: { enum: FORMATS },
+                q: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: 100,
+                    description:
+                        "quality, rounded to the nearest 10. Only for logged in users",
+                },
+            },
+            response: { type: "string", format: "binary" },
+            content: "image/*",
+            errors: [400, 404],
+        }),
+    },
+    "/image/storage": {
+        post: operation({
+            summary: "Uploads an image file",
+            access: "editor",
+            form: { ...imageForm, required: ["image"] },
+            response: ref("StoredFile"),
+            errors: [409, 413, 415, 422],
+        }),
+        delete: operation({
+            summary: "Moves a stored file to the trash",
+            access: "editor",
+            query: { file: string() },
+            errors: [404],
+        }),
+    },
+    "/admin/reconcile": {
+        post: operation({
+            summary:
+                "Finds, and optionally deletes, orphaned files and documents",
+            access: "admin",
+            request: body({ delete: boolean() }),
+            response: body({
+                orphanedFiles: stringList(),
+                missingFiles: arrayOf(body({ _id: {}, fileName: {} })),
+                deleted: { type: "boolean" },
+            }),
+        }),
+    },
+    "/admin/export": {
+        get: operation({
+            summary: "Exports the library as a ZIP archive",
+            access: "admin",
+            response: { type: "string", format: "binary" },
+            content: "application/zip",
+        }),
+    },
+    "/admin/import": {
+        post: {
+            ...operation({
+                summary: "Imports a library export",
+                access: "admin",
+                query: { mode: { enum: IMPORT_MODES }, dryRun: boolean() },
+                response: body({
+                    msg: {},
+                    mode: {},
+                    dryRun: {},
+                    tags: ref("ImportSummary"),
+                    images: ref("ImportSummary"),
+                    albums: ref("ImportSummary"),
+                    files: body({ written: {}, skipped: {} }),
+                }),
+                errors: [400],
+            }),
+            requestBody: {
+                required: true,
+                content: {
+                    "application/zip": {
+                        schema: { type: "string", format: "binary" },
+                    },
+                },
+            },
+        },
+    },
+    "/tags": {
+        get: operation({
+            summary: "Lists the tags",
+            response: arrayOf(ref("Tag")),
+        }),
+        post: operation({
+            summary: "Creates a tag, and any missing parents in its path",
+            access: "editor",
+            request: body({ tag: {}, parent: {} }, ["tag"]),
+            errors: [409],
+        }),
+        put: operation({
+            summary: "Renames or moves a tag",
+            access: "admin",
+            request: body(
+                { tag: {}, newTag: {}, parent: { type: ["string", "null"] } },
+                ["tag"]
+            ),
+            response: body({ msg: {}, imagesUpdated: {} }),
+            errors: [404, 409],
+        }),
+        delete: operation({
+            summary: "Deletes a tag",
+            access: "admin",
+            request: body({ tag: {} }, ["tag"]),
+            response: body({ msg: {}, imagesUpdated: {} }),
+            errors: [404],
+        }),
+    },
+    "/tags/merge": {
+        post: operation({
+            summary: "Merges tags into another tag",
+            access: "admin",
+            request: body({ tags: stringList(), into: {} }, ["tags", "into"]),
+            response: body({ msg: {}, imagesUpdated: {} }),
+        }),
+    },
+    "/albums": {
+        get: operation({
+            summary: "Gets an album by id with its images, or a page of albums",
+            access: "optional",
+            query: { id: string(), ...page },
+            response: { anyOf: [ref("Album"), arrayOf(ref("Album"))] },
+            errors: [400, 404],
+        }),
+        post: operation({
+            summary: "Creates an album",
+            access: "editor",
+            request: ref("AlbumInput"),
+            response: ref("Album"),
+            status: 201,
+        }),
+        put: operation({
+            summary: "Updates the given fields of an album",
+            access: "editor",
+            request: ref("AlbumInput"),
+            response: ref("Album"),
+            errors: [404, 409],
+        }),
+        delete: operation({
+            summary: "Deletes an album",
+            access: "editor",
+            request: body({ _id: {} }, ["_id"]),
+            errors: [404],
+        }),
+    },
+    "/albums/images": {
+        post: operation({
+            summary: "Adds images to an album",
+            access: "editor",
+            request: body(
+                { _id: {}, images: stringList(), position: integer() },
+                ["_id", "images"]
+            ),
+            response: ref("Album"),
+            errors: [404, 409],
+        }),
+        put: operation({
+            summary: "Reorders the images of an album",
+            access: "editor",
+            request: body({ _id: {}, images: stringList() }, ["_id", "images"]),
+            response: ref("Album"),
+            errors: [404, 409],
+        }),
+        delete: operation({
+            summary: "Removes images from an album",
+            access: "editor",
+            request: body({ _id: {}, images: stringList() }, ["_id", "images"]),
+            response: ref("Album"),
+            errors: [404],
+        }),
+    },
+    "/shares": {
+        get: operation({
+            summary: "Lists the share links that haven't expired",
+            access: "editor",
+            query: { image: string(), album: string() },
+            response: arrayOf(ref("Share")),
+        }),
+        post: operation({
+            summary: "Creates a share link for an image or album",
+            access: "editor",
+            request: body({
+                image: {},
+                album: {},
+                expiresIn: integer("seconds, defaults to 7 days"),
+            }),
+            response: ref("Share"),
+            status: 201,
+            errors: [404],
+        }),
+        delete: operation({
+            summary: "Revokes a share link",
+            access: "editor",
+            request: body({ _id: {} }, ["_id"]),
+            errors: [404],
+        }),
+    },
+    "/shared": {
+        get: operation({
+            summary: "Opens a share link",
+            query: { token: string() },
+            response: body({
+                type: { enum: ["image", "album"] },
+                expiresAt: { type: "string", format: "date-time" },
+                image: ref("Image"),
+                album: ref("Album"),
+            }),
+            errors: [404],
+        }),
+    },
+    "/audit": {
+        get: operation({
+            summary: "Lists audit log entries, newest first",
+            access: "admin",
+            query: {
+                actor: string(),
+                action: string(),
+                type: { enum: ["image", "tag", "file"] },
+                target: string(),
+                since: { type: "string", format: "date-time" },
+                until: { type: "string", format: "date-time" },
+                ...page,
+            },
+            response: arrayOf(ref("AuditEntry")),
+            errors: [400],
+        }),
+    },
+    "/trash": {
+        get: operation({
+            summary:
+                "Lists the items in the trash, most recently deleted first",
+            access: "editor",
+            query: { type: { enum: ["image", "file"] }, ...page },
+            response: arrayOf(ref("TrashItem")),
+            errors: [400],
+        }),
+        delete: operation({
+            summary: "Permanently deletes an item in the trash",
+            access: "editor",
+            request: body({ _id: {} }, ["_id"]),
+            errors: [404],
+        }),
+    },
+    "/trash/restore": {
+        post: operation({
+            summary: "Restores an item from the trash",
+            access: "editor",
+            request: body({ _id: {} }, ["_id"]),
+            response: body({ msg: string(), item: ref("TrashItem") }),
+            errors: [404, 409],
+        }),
+    },
+    "/webhooks": {
+        get: operation({
+            summary: "Lists the registered webhooks",
+            access: "admin",
+            response: arrayOf(ref("Webhook")),
+        }),
+        post: operation({
+            summary: "Registers a webhook for library events",
+            access: "admin",
+            request: ref("WebhookInput"),
+            response: ref("Webhook"),
+            status: 201,
+        }),
+        put: operation({
+            summary: "Updates the given fields of a webhook",
+            access: "admin",
+            request: ref("WebhookInput"),
+            response: ref("Webhook"),
+            errors: [404],
+        }),
+        delete: operation({
+            summary: "Removes a webhook",
+            access: "admin",
+            request: body({ _id: {} }, ["_id"]),
+            errors: [404],
+        }),
+    },
+    "/webhooks/deliveries": {
+        get: operation({
+            summary:
+                "Lists webhook deliveries and their attempts, newest first",
+            access: "admin",
+            query: {
+                webhook: string(),
+                event: string(),
+                status: { enum: ["pending", "delivered", "failed"] },
+                ...page,
+            },
+            response: arrayOf(ref("WebhookDelivery")),
+            errors: [400],
+        }),
+    },
+};
+paths["/files/images/{key}"].get.parameters.unshift({
+    name: "key",
+    in: "path",
+    required: true,
+    schema: { type: "string" },
+});
+
+/*
+ * Builds the OpenAPI document that describes the API. The image and album schemas
+ * are the same ones requests are validated with, so the document matches what the
+ * server accepts.
+ *
+ * @param {object} options
+ *  version => the version of the server
+ *  baseUrl => the URL the API is served from, like https://example.com/api/v1
+ *
+ * @returns {object} the document
+ */
+const buildOpenApi = ({ version, baseUrl }) => ({
+    openapi: "3.1.0",
+    info: { title: "Image Database API", version },
+    servers: [{ url: baseUrl }],
+    paths,
+    components: {
+        schemas,
+        responses: {
+            Error: {
+                description: "An error",
+                content: json(ref("Error")),
+            },
+        },
+        securitySchemes: {
+            token: { type: "apiKey", in: "header", name: "token" },
+        },
+    },
+});
+
+module.exports = { buildOpenApi };
@@ -0,0 +1,64 @@
+const sharp = require("sharp");
+const path = require("path");
+
+/*
+ * The derived sizes generated for every uploaded image. Each rendition fits
+ * inside its width x height box, keeping the aspect ratio of the original, and
+ * is never enlarged past the original's dimensions.
+ */
+const SIZES = [
+    { name: "thumbnail", width: 320, height: 320 },
+    { name: "medium", width: 800, height: 800 },
+    { name: "large", width: 1600, height: 1600 },
+];
+
+/*
+ * Generates every rendition in SIZES for an image, once in a web-friendly version
+ * of the original format and once as WebP
+ *
+ * @param {Buffer} data - the contents of the original image
+ * @param {string} fileName - the stored name of the original image
+ *
+ * @returns {Promise<object>} the dimensions of the original and a list of the
+ *  renditions, each with a name, format, width, height, the storage key to save
+ *  it under as file, and its contents as data
+ */
+const createRenditions = async (data, fileName) => {
+    const metadata = await sharp(data).metadata();
+    const baseName = path.parse(fileName).name;
+    const formats = [metadata.hasAlpha ? "png" : "jpeg", "webp"];
+
+    const renditions = [];
+    for (const size of SIZES) {
+        for (const format of formats) {
+            const file = path.posix.join(
+                "renditions",
+                `${baseName}-${size.name}.${format === "jpeg" ? "jpg" : format}`
+            );
+            const { data: rendition, info } = await sharp(data)
+                .resize(size.width, size.height, {
+                    fit: "inside",
+                    withoutEnlargement: true,
+                })
+                .toFormat(format)
+                .toBuffer({ resolveWithObject: true });
+
+            renditions.push({
+                name: size.name,
+                format,
+                width: info.width,
+                height: info.height,
+                file,
+                data: rendition,
+            });
+        }
+    }
+
+    return {
+        width: metadata.width,
+        height: metadata.height,
+        renditions,
+    };
+};
+
+module.exports = { SIZES, createRenditions };
@@ -0,0 +1,311 @@
+const Ajv = require("ajv");
+
+const ajv = new Ajv({ allErrors: true });
+
+// The most tags an image can have
+const MAX_TAGS = 100;
+
+/*
+ * The fields of an image document. createdAt, updatedAt, version and ownerEmail are
+ * owned by the server, and anything not listed here is rejected.
+ */
+const imageSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        _id: { type: "string", minLength: 1, maxLength: 64 },
+        title: { type: "string", minLength: 1, maxLength: 200 },
+        description: { type: "string", maxLength: 5000 },
+        tags: {
+            type: "array",
+            maxItems: MAX_TAGS,
+            uniqueItems: true,
+            items: { type: "string", minLength: 1, maxLength: 100 },
+        },
+        filePath: { type: "string", minLength: 1, maxLength: 2048 },
+        fileName: { type: "string", minLength: 1, maxLength: 255 },
+        originalName: { type: "string", maxLength: 255 },
+        width: { type: "integer", minimum: 1 },
+        height: { type: "integer", minimum: 1 },
+        exif: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                takenAt: { type: "string", maxLength: 64 },
+                make: { type: "string", maxLength: 200 },
+                model: { type: "string", maxLength: 200 },
+                lens: { type: "string", maxLength: 200 },
+                orientation: { type: "integer", minimum: 1, maximum: 8 },
+                latitude: { type: "number", minimum: -90, maximum: 90 },
+                longitude: { type: "number", minimum: -180, maximum: 180 },
+                altitude: { type: "number" },
+            },
+        },
+        contentHash: { type: "string", pattern: "^[0-9a-f]{64}$" },
+        perceptualHash: { type: "string", pattern: "^[0-9a-f]{16}$" },
+        public: { type: "boolean" },
+        renditions: {
+            type: "array",
+            items: {
+                type: "object",
+                additionalProperties: false,
+                required: ["name", "format", "width", "height", "file"],
+                properties: {
+                    name: { type: "string" },
+                    format: { type: "string" },
+                    width: { type: "integer", minimum: 1 },
+                    height: { type: "integer", minimum: 1 },
+                    file: { type: "string" },
+                    url: { type: "string" },
+                },
+            },
+        },
+    },
+};
+
+/*
+ * The descriptive fields of an image, as opposed to the fields about its file. These
+ * are the fields that revisions of an image keep.
+ */
+const METADATA_FIELDS = ["title", "description", "tags", "public"];
+
+/*
+ * The fields of an image about its stored file. These are only set by the server from
+ * an upload, so a client can't point an image at files it didn't upload.
+ */
+const FILE_FIELDS = [
+    "filePath",
+    "fileName",
+    "originalName",
+    "width",
+    "height",
+    "exif",
+    "contentHash",
+    "perceptualHash",
+    "renditions",
+];
+
+/*
+ * The fields a client can write on an image document
+ */
+const imageInputSchema = {
+    ...imageSchema,
+    properties: Object.fromEntries(
+        ["_id", ...METADATA_FIELDS].map((field) => [
+            field,
+            imageSchema.properties[field],
+        ])
+    ),
+};
+
+/*
+ * The fields that are required for each way an image can be written
+ *
+ *  create => inserting a document for a file that was already uploaded
+ *  update => replacing the fields of an existing document
+ *  upload => uploading a file and creating its document in one request
+ *  patch => updating only the given fields of an existing document
+ *  bulk => updating the same fields of many documents at once
+ */
+const { _id, ...bulkProperties } = imageInputSchema.properties;
+const validators = {
+    create: ajv.compile({ ...imageInputSchema, required: ["title"] }),
+    update: ajv.compile({ ...imageInputSchema, required: ["_id", "title"] }),
+    upload: ajv.compile({ ...imageInputSchema, required: ["title"] }),
+    patch: ajv.compile({ ...imageInputSchema, required: ["_id"] }),
+    bulk: ajv.compile({
+        ...imageInputSchema,
+        properties: bulkProperties,
+        minProperties: 1,
+    }),
+};
+
+/*
+ * The fields a client can write on an album document. Images are added, removed and
+ * reordered through their own endpoints, so they can only be given on create.
+ */
+const albumSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        _id: { type: "string", minLength: 1, maxLength: 64 },
+        title: { type: "string", minLength: 1, maxLength: 200 },
+        description: { type: "string", maxLength: 5000 },
+        images: {
+            type: "array",
+            maxItems: 10000,
+            uniqueItems: true,
+            items: { type: "string", minLength: 1, maxLength: 64 },
+        },
+        cover: { type: ["string", "null"], minLength: 1, maxLength: 64 },
+        public: { type: "boolean" },
+    },
+};
+
+/*
+ * The album validators for each way an album can be written
+ *
+ *  create => inserting a new album
+ *  update => updating only the given fields of an existing album, other than its
+ *      images
+ */
+const { images, ...albumUpdateProperties } = albumSchema.properties;
+const albumValidators = {
+    create: ajv.compile({ ...albumSchema, required: ["title"] }),
+    update: ajv.compile({
+        ...albumSchema,
+        properties: albumUpdateProperties,
+        required: ["_id"],
+    }),
+};
+
+/*
+ * The events a webhook can subscribe to, which are the actions recorded in the audit
+ * log. A webhook can also subscribe to every event with *, or every event of a type
+ * with a wildcard like image.*
+ */
+const WEBHOOK_EVENTS = [
+    "image.create",
+    "image.update",
+    "image.tag",
+    "image.restore",
+    "image.delete",
+    "storage.upload",
+    "storage.delete",
+    "tag.create",
+    "tag.update",
+    "tag.merge",
+    "tag.delete",
+    "trash.restore",
+    "trash.purge",
+];
+
+/*
+ * The fields a client can write on a webhook. The secret its payloads are signed
+ * with is made by the server.
+ */
+const webhookSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        _id: { type: "string", minLength: 1, maxLength: 64 },
+        url: { type: "string", maxLength: 2000, pattern: "^https?://\\S+$" },
+        events: {
+            type: "array",
+            minItems: 1,
+            maxItems: 50,
+            uniqueItems: true,
+            items: {
+                enum: [
+                    "*",
+                    ...new Set(
+                        WEBHOOK_EVENTS.map(
+                            (event) => event.split(".")[0] + ".*"
+                        )
+                    ),
+                    ...WEBHOOK_EVENTS,
+                ],
+            },
+        },
+        description: { type: "string", maxLength: 500 },
+        active: { type: "boolean" },
+    },
+};
+
+/*
+ * The webhook validators for each way a webhook can be written
+ *
+ *  create => registering a new webhook
+ *  update => updating only the given fields of an existing webhook
+ */
+const webhookValidators = {
+    create: ajv.compile({ ...webhookSchema, required: ["url", "events"] }),
+    update: ajv.compile({ ...webhookSchema, required: ["_id"] }),
+};
+
+/*
+ * Converts an ajv error into the field it's about and a readable message
+ */
+const toFieldError = (error) => {
+    let field = error.instancePath.slice(1).replace(/\//g, ".");
+    if (error.keyword === "required") {
+        field = [field, error.params.missingProperty]
+            .filter((f) => f)
+            .join(".");
+        return { field, msg: "is required" };
+    }
+
+    if (error.keyword === "additionalProperties") {
+        field = [field, error.params.additionalProperty]
+            .filter((f) => f)
+            .join(".");
+        return { field, msg: "is not an allowed field" };
+    }
+
+    return { field, msg: error.message };
+};
+
+/*
+ * Validates an image document against the image schema
+ *
+ * @param {object} image - the image document, without createdAt or updatedAt
+ * @param {string} mode - one of create, update, upload, patch or bulk
+ *
+ * @returns {Array} a list of field errors, which is empty if the image is valid
+ */
+const validateImage = (image, mode) => {
+    const validate = validators[mode];
+    if (validate(image)) {
+        return [];
+    }
+
+    return validate.errors.map(toFieldError);
+};
+
+/*
+ * Validates an album document against the album schema
+ *
+ * @param {object} album - the album document, without createdAt or updatedAt
+ * @param {string} mode - one of create or update
+ *
+ * @returns {Array} a list of field errors, which is empty if the album is valid
+ */
+const validateAlbum = (album, mode) => {
+    const validate = albumValidators[mode];
+    if (validate(album)) {
+        return [];
+    }
+
+    return validate.errors.map(toFieldError);
+};
+
+/*
+ * Validates a webhook document against the webhook schema
+ *
+ * @param {object} webhook - the webhook document from the request
+ * @param {string} mode - one of create or update
+ *
+ * @returns {Array} a list of field errors, which is empty if the webhook is valid
+ */
+const validateWebhook = (webhook, mode) => {
+    const validate = webhookValidators[mode];
+    if (validate(webhook)) {
+        return [];
+    }
+
+    return validate.errors.map(toFieldError);
+};
+
+module.exports = {
+    imageSchema,
+    MAX_TAGS,
+    METADATA_FIELDS,
+    FILE_FIELDS,
+    imageInputSchema,
+    validateImage,
+    albumSchema,
+    validateAlbum,
+    WEBHOOK_EVENTS,
+    webhookSchema,
+    validateWebhook,
+};
@@ -0,0 +1,206 @@
+/*
+ * Limits on search queries, so that a single request can't make the database do
+ * an unbounded amount of work
+ */
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 10;
+
+/*
+ * The fields that are searched, and how much a match in each one counts towards
+ * the relevance of an image
+ */
+const SEARCH_WEIGHTS = { title: 10, tags: 5, description: 1 };
+
+const SNIPPET_LENGTH = 160;
+
+/*
+ * Escapes every regex metacharacter in a string, so it can be matched literally
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/*
+ * Splits a search query into plain terms, "quoted phrases" and prefix* terms. Each
+ * one is matched literally, so none of them can use the $text search operators.
+ *
+ * @param {string} query - the search query from the user
+ *
+ * @returns {object} the terms, phrases and prefixes in the query
+ */
+const parseSearch = (query) => {
+    const parsed = { terms: [], phrases: [], prefixes: [] };
+    const tokens = String(query || "")
+        .slice(0, MAX_QUERY_LENGTH)
+        .match(/"[^"]*"|[^\s"]+/g);
+
+    (tokens || []).slice(0, MAX_TERMS).forEach((token) => {
+        if (token.startsWith('"')) {
+            const phrase = token.replace(/"/g, "").trim();
+            if (phrase) {
+                parsed.phrases.push(phrase);
+            }
+        } else if (token.endsWith("*")) {
+            const prefix = token.replace(/\*+$/, "");
+            if (prefix) {
+                parsed.prefixes.push(prefix);
+            }
+        } else {
+            // A leading - would exclude the term from the text search
+            const term = token.replace(/^-+/, "");
+            if (term) {
+                parsed.terms.push(term);
+            }
+        }
+    });
+
+    return parsed;
+};
+
+/*
+ * Checks if a parsed search query has anything to search for
+ */
+const isEmptySearch = (parsed) =>
+    !parsed.terms.length && !parsed.phrases.length && !parsed.prefixes.length;
+
+/*
+ * Builds the images collection filter for a parsed search query. Terms and phrases
+ * use the text index, so results can be sorted by relevance. Prefixes aren't
+ * supported by text indexes, so each one has to match the start of a word in one
+ * of the searched fields.
+ *
+ * @returns {object} the filter, which has a $text condition if the results can be
+ *  sorted by relevance
+ */
+const buildSearchFilter = (parsed) => {
+    const filter = {};
+    if (parsed.terms.length || parsed.phrases.length) {
+        filter.$text = {
+            $search: [
+                ...parsed.terms,
+                ...parsed.phrases.map((phrase) => `"${phrase}"`),
+            ].join(" "),
+        };
+    }
+
+    if (parsed.prefixes.length) {
+        filter.$and = parsed.prefixes.map((prefix) => ({
+            $or: Object.keys(SEARCH_WEIGHTS).map((field) => ({
+                [field]: {
+                    $regex: `(^|[^\\w])${escapeRegex(prefix)}`,
+                    $options: "i",
+                },
+            })),
+        }));
+    }
+
+    return filter;
+};
+
+const escapeHtml = (value) =>
+    value
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+/*
+ * Builds a regex that finds every match of a parsed search query in some text.
+ * Terms match whole words, and their simple plural or singular forms, roughly like
+ * the stemming the text index does. Only prefixes also match longer words.
+ */
+const matcherFor = (parsed) => {
+    const patterns = [
+        ...parsed.phrases.map(escapeRegex),
+        ...parsed.terms.map(
+            (term) =>
+                `${escapeRegex(
+                    term.length > 3 ? term.replace(/(es|s)$/i, "") : term
+                )}(?:es|s)?(?!\\w)`
+        ),
+        ...parsed.prefixes.map((prefix) => `${escapeRegex(prefix)}\\w*`),
+    ];
+
+    return new RegExp(`(?<!\\w)(?:${patterns.join("|")})`, "gi");
+};
+
+/*
+ * Highlights the matches of a search query in some text, by wrapping them in
+ * <mark> tags. Long text is cut down to a snippet around the first match. The text
+ * is HTML escaped.
+ *
+ * @returns {string|null} the highlighted snippet, or null if nothing matched
+ */
+const highlight = (text, parsed) => {
+    if (typeof text !== "string" || isEmptySearch(parsed)) {
+        return null;
+    }
+
+    const matcher = matcherFor(parsed);
+    const first = matcher.exec(text);
+    if (!first) {
+        return null;
+    }
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > SNIPPET_LENGTH) {
+        start = Math.max(0, first.index - SNIPPET_LENGTH / 4);
+        end = Math.min(text.length, start + SNIPPET_LENGTH);
+    }
+
+    const snippet = text.slice(start, end);
+    let highlighted = "";
+    let last = 0;
+    matcher.lastIndex = 0;
+    let match;
+    while ((match = matcher.exec(snippet)) !== null) {
+        if (!match[0]) {
+            matcher.lastIndex++;
+            continue;
+        }
+        highlighted +=
+            escapeHtml(snippet.slice(last, match.index)) +
+            `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    highlighted += escapeHtml(snippet.slice(last));
+
+    return (
+        (start > 0 ? "…" : "") + highlighted + (end < text.length ? "…" : "")
+    );
+};
+
+/*
+ * Gets the highlighted snippets of every searched field of an image that matched
+ * a search query
+ */
+const highlightImage = (image, parsed) => {
+    const highlights = {};
+    const title = highlight(image.title, parsed);
+    if (title) {
+        highlights.title = title;
+    }
+
+    const description = highlight(image.description, parsed);
+    if (description) {
+        highlights.description = description;
+    }
+
+    const tags = (image.tags || [])
+        .map((tag) => highlight(tag, parsed))
+        .filter((tag) => tag);
+    if (tags.length) {
+        highlights.tags = tags;
+    }
+
+    return highlights;
+};
+
+module.exports = {
+    SEARCH_WEIGHTS,
+    escapeRegex,
+    parseSearch,
+    isEmptySearch,
+    buildSearchFilter,
+    highlight,
+    highlightImage,
+};
@@ -0,0 +1,70 @@
+const path = require("path");
+const { createLocalStorage } = require("./local");
+const { createS3Storage } = require("./s3");
+
+const CONTENT_TYPES = {
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".avif": "image/avif",
+};
+
+/*
+ * Gets the content type of a stored file from its extension
+ */
+const contentTypeOf = (key) =>
+    CONTENT_TYPES[path.extname(key).toLowerCase()] ||
+    "application/octet-stream";
+
+/*
+ * Creates the storage driver chosen by the STORAGE_DRIVER environment variable.
+ * Every driver has the same functions:
+ *
+ *  put(key, data) => stores a file
+ *  get(key) => reads a file into a Buffer
+ *  exists(key) => checks if a file exists
+ *  remove(key) => removes a file, ignoring missing files
+ *  move(from, to) => moves a file to another key, replacing any file there
+ *  list() => lists the keys of every stored file
+ *  url(key) => the public URL of a file
+ *  send(res, key) => responds to a request with a file, or a redirect to it
+ *
+ * Functions that read a missing file reject with an error whose code is ENOENT.
+ *
+ * @param {object} config
+ *  directory => the directory the local driver stores files in
+ *  baseUrl => the URL this server serves files from
+ *
+ * @returns {object} the storage driver
+ */
+const createStorage = ({ directory, baseUrl }) => {
+    const driver = process.env.STORAGE_DRIVER || "local";
+    if (driver === "local") {
+        return createLocalStorage({ directory, baseUrl });
+    }
+
+    if (driver === "s3") {
+        if (!process.env.S3_BUCKET) {
+            throw new Error("S3_BUCKET is required for the s3 storage driver");
+        }
+
+        return createS3Storage({
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION || "us-east-1",
+            endpoint: process.env.S3_ENDPOINT,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            publicUrl: process.env.S3_PUBLIC_URL,
+            baseUrl,
+            urlExpiry: parseInt(process.env.S3_URL_EXPIRY) || 3600,
+            contentTypeOf,
+        });
+    }
+
+    throw new Error("Unknown storage driver " + driver);
+};
+
+module.exports = { createStorage, contentTypeOf };
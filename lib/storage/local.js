@@ -0,0 +1,95 @@
+const path = require("path");
+const fs = require("fs");
+
+/*
+ * Creates a storage driver that keeps files in a directory on the local disk, and
+ * serves them from this server
+ *
+ * @param {object} config
+ *  directory => the directory files are stored in
+ *  baseUrl => the URL files are served from by this server
+ *
+ * @returns {object} the storage driver
+ */
+const createLocalStorage = ({ directory, baseUrl }) => {
+    const root = path.resolve(directory);
+
+    // Resolves a key to a path, making sure it can't escape the directory
+    const resolve = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) {
+            const err = new Error("Invalid storage key " + key);
+            err.code = "ENOENT";
+            throw err;
+        }
+        return file;
+    };
+
+    const list = async (prefix = "") => {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(path.join(root, prefix), {
+                withFileTypes: true,
+            });
+        } catch (err) {
+            if (err.code == "ENOENT") {
+                return [];
+            }
+            throw err;
+        }
+
+        const keys = [];
+        for (const entry of entries) {
+            const key = path.posix.join(prefix, entry.name);
+            if (entry.isDirectory()) {
+                keys.push(...(await list(key)));
+            } else {
+                keys.push(key);
+            }
+        }
+
+        return keys;
+    };
+
+    return {
+        name: "local",
+
+        put: async (key, data) => {
+            const file = resolve(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, data);
+        },
+
+        get: async (key) => fs.promises.readFile(resolve(key)),
+
+        exists: async (key) => {
+            try {
+                await fs.promises.access(resolve(key));
+                return true;
+            } catch (err) {
+                return false;
+            }
+        },
+
+        remove: async (key) => fs.promises.rm(resolve(key), { force: true }),
+
+        move: async (from, to) => {
+            const file = resolve(to);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.rename(resolve(from), file);
+        },
+
+        list: () => list(),
+
+        url: (key) => `${baseUrl}/${key}`,
+
+        send: (res, key) =>
+            new Promise((resolvePromise, reject) => {
+                res.sendFile(resolve(key), { maxAge: "30d" }, (err) =>
+                    err ? reject(err) : resolvePromise()
+                );
+            }),
+    };
+};
+
+module.exports = { createLocalStorage };
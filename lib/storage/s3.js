@@ -0,0 +1,154 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+/*
+ * Converts the different errors S3 gives for a missing object into the ENOENT
+ * errors the local driver gives
+ */
+const notFound = (err) => {
+    if (
+        err.name === "NoSuchKey" ||
+        err.name === "NotFound" ||
+        (err.$metadata && err.$metadata.httpStatusCode === 404)
+    ) {
+        err.code = "ENOENT";
+    }
+    return err;
+};
+
+/*
+ * Creates a storage driver that keeps files in an S3 compatible object store, like
+ * AWS S3 or MinIO. Files are downloaded from presigned URLs, so they never pass
+ * through this server.
+ *
+ * @param {object} config
+ *  bucket => the bucket files are stored in
+ *  region => the region of the bucket
+ *  endpoint => the URL of the object store, for anything other than AWS S3
+ *  forcePathStyle => whether to put the bucket in the path instead of the host
+ *      name, which MinIO needs
+ *  accessKeyId, secretAccessKey => the credentials, otherwise the default AWS
+ *      credential chain is used
+ *  publicUrl => the URL the bucket can be read from publicly, if it can be
+ *  baseUrl => the URL files are served from by this server, which redirects to
+ *      presigned URLs
+ *  urlExpiry => how long presigned URLs are valid for, in seconds
+ *  contentTypeOf => gets the content type of a key
+ *
+ * @returns {object} the storage driver
+ */
+const createS3Storage = (config) => {
+    const client = new S3Client({
+        region: config.region,
+        endpoint: config.endpoint,
+        forcePathStyle: config.forcePathStyle,
+        credentials:
+            config.accessKeyId && config.secretAccessKey
+                ? {
+                      accessKeyId: config.accessKeyId,
+                      secretAccessKey: config.secretAccessKey,
+                  }
+                : undefined,
+    });
+    const Bucket = config.bucket;
+
+    const downloadUrl = (key) =>
+        getSignedUrl(client, new GetObjectCommand({ Bucket, Key: key }), {
+            expiresIn: config.urlExpiry,
+        });
+
+    return {
+        name: "s3",
+
+        put: async (key, data) => {
+            await client.send(
+                new PutObjectCommand({
+                    Bucket,
+                    Key: key,
+                    Body: data,
+                    ContentType: config.contentTypeOf(key),
+                })
+            );
+        },
+
+        get: async (key) => {
+            try {
+                const result = await client.send(
+                    new GetObjectCommand({ Bucket, Key: key })
+                );
+                return Buffer.from(await result.Body.transformToByteArray());
+            } catch (err) {
+                throw notFound(err);
+            }
+        },
+
+        exists: async (key) => {
+            try {
+                await client.send(new HeadObjectCommand({ Bucket, Key: key }));
+                return true;
+            } catch (err) {
+                if (notFound(err).code === "ENOENT") {
+                    return false;
+                }
+                throw err;
+            }
+        },
+
+        remove: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket, Key: key }));
+        },
+
+        // S3 can't rename objects, so they are copied and the original removed
+        move: async (from, to) => {
+            try {
+                await client.send(
+                    new CopyObjectCommand({
+                        Bucket,
+                        Key: to,
+                        CopySource: `${Bucket}/${encodeURIComponent(from)}`,
+                    })
+                );
+            } catch (err) {
+                throw notFound(err);
+            }
+            await client.send(new DeleteObjectCommand({ Bucket, Key: from }));
+        },
+
+        list: async () => {
+            const keys = [];
+            let ContinuationToken;
+            do {
+                const result = await client.send(
+                    new ListObjectsV2Command({ Bucket, ContinuationToken })
+                );
+                (result.Contents || []).forEach((object) =>
+                    keys.push(object.Key)
+                );
+                ContinuationToken = result.NextContinuationToken;
+            } while (ContinuationToken);
+
+            return keys;
+        },
+
+        url: (key) =>
+            config.publicUrl
+                ? `${config.publicUrl}/${key}`
+                : `${config.baseUrl}/${key}`,
+
+        downloadUrl,
+
+        send: async (res, key) => {
+            res.redirect(302, await downloadUrl(key));
+        },
+    };
+};
+
+module.exports = { createS3Storage };
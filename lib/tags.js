@@ -0,0 +1,146 @@
+/*
+ * Separates a parent tag from its child when a tag is written as a path, like
+ * "animals > dog"
+ */
+const PATH_SEPARATOR = ">";
+
+/*
+ * Normalizes a tag name so that tags differing only in case or whitespace are
+ * treated as the same tag
+ */
+const normalizeTag = (tag) =>
+    String(tag).trim().replace(/\s+/g, " ").toLowerCase();
+
+/*
+ * Splits a tag path like "animals > dog" into its normalized tags, from the top
+ * level parent down to the tag itself
+ */
+const parseTagPath = (value) =>
+    String(value)
+        .split(PATH_SEPARATOR)
+        .map(normalizeTag)
+        .filter((tag) => tag);
+
+/*
+ * Gets every tag below a tag in the hierarchy, not including the tag itself
+ *
+ * @param {Array} tagDocuments - every document in the tags collection
+ * @param {string} tag - the parent tag
+ *
+ * @returns {Array} the names of the descendant tags
+ */
+const descendantsOf = (tagDocuments, tag) => {
+    const descendants = [];
+    const seen = new Set([tag]);
+    const queue = [tag];
+    while (queue.length) {
+        const parent = queue.shift();
+        tagDocuments
+            .filter((doc) => doc.parent === parent && !seen.has(doc.tag))
+            .forEach((doc) => {
+                seen.add(doc.tag);
+                descendants.push(doc.tag);
+                queue.push(doc.tag);
+            });
+    }
+
+    return descendants;
+};
+
+/*
+ * Gets every tag above a tag in the hierarchy, from its parent up to the top level
+ */
+const ancestorsOf = (tagDocuments, tag) => {
+    const parents = new Map(tagDocuments.map((doc) => [doc.tag, doc.parent]));
+    const ancestors = [];
+    let parent = parents.get(tag);
+    while (parent && parent !== tag && !ancestors.includes(parent)) {
+        ancestors.push(parent);
+        parent = parents.get(parent);
+    }
+
+    return ancestors;
+};
+
+/*
+ * Formats the full path of a tag, like "animals > dog"
+ */
+const tagPath = (tagDocuments, tag) =>
+    [...ancestorsOf(tagDocuments, tag).reverse(), tag].join(
+        ` ${PATH_SEPARATOR} `
+    );
+
+/*
+ * Normalizes the tags stored before tag names were normalized, so that the unique
+ * tags index can be created. Tags that only differ in case or whitespace are merged
+ * into one, and the tags of images are changed to match. Images that change get a
+ * new version.
+ *
+ * @param {Collection} tags - the tags collection
+ * @param {Collection} images - the images collection
+ *
+ * @returns {Promise<number>} the number of images that were updated
+ */
+const normalizeStoredTags = async (tags, images) => {
+    const groups = new Map();
+    (await tags.find({}).toArray()).forEach((doc) => {
+        const tag = normalizeTag(doc.tag);
+        groups.set(tag, [...(groups.get(tag) || []), doc]);
+    });
+
+    for (const [tag, docs] of groups) {
+        const kept = docs.find((doc) => doc.tag === tag) || docs[0];
+        const merged = docs.filter((doc) => doc !== kept);
+        if (merged.length) {
+            await tags.deleteMany({
+                _id: { $in: merged.map((doc) => doc._id) },
+            });
+        }
+
+        const parentTag = [kept, ...merged]
+            .map((doc) => doc.parent)
+            .find((parent) => parent);
+        const parent = parentTag ? normalizeTag(parentTag) : null;
+        if (kept.tag !== tag || (kept.parent || null) !== parent) {
+            await tags.updateOne(
+                { _id: kept._id },
+                { $set: { tag, parent: parent !== tag ? parent : null } }
+            );
+        }
+    }
+
+    let updated = 0;
+    const tagged = images.find(
+        { "tags.0": { $exists: true } },
+        { projection: { tags: 1 } }
+    );
+    for await (const image of tagged) {
+        const normalized = [...new Set(image.tags.map(normalizeTag))];
+        if (
+            normalized.length === image.tags.length &&
+            normalized.every((tag, i) => tag === image.tags[i])
+        ) {
+            continue;
+        }
+
+        await images.updateOne(
+            { _id: image._id },
+            {
+                $set: { tags: normalized, updatedAt: new Date() },
+                $inc: { version: 1 },
+            }
+        );
+        updated++;
+    }
+
+    return updated;
+};
+
+module.exports = {
+    normalizeTag,
+    parseTagPath,
+    descendantsOf,
+    ancestorsOf,
+    tagPath,
+    normalizeStoredTags,
+};
@@ -0,0 +1,179 @@
+const sharp = require("sharp");
+const path = require("path");
+const fs = require("fs");
+
+/*
+ * The widths and heights that can be requested from the transform endpoint. Only
+ * allowing a fixed set of sizes bounds the number of cached files per image.
+ * Override with a comma separated list in TRANSFORM_SIZES.
+ */
+const ALLOWED_SIZES = (
+    process.env.TRANSFORM_SIZES || "100,200,320,400,640,800,1200,1600,2000"
+)
+    .split(",")
+    .map((size) => parseInt(size))
+    .filter((size) => size > 0);
+
+const FITS = ["cover", "contain", "fill", "inside", "outside"];
+const FORMATS = ["jpeg", "png", "webp", "avif"];
+const DEFAULT_QUALITY = 80;
+
+// Formats that are always lossless, so the quality doesn't change them
+const LOSSLESS_FORMATS = ["png"];
+
+// Qualities are rounded to a multiple of this, for the same reason as the sizes
+const QUALITY_STEP = 10;
+
+/*
+ * Parses and validates the transform options from a request's query parameters
+ *
+ * Query Parameters:
+ *  w => width, one of ALLOWED_SIZES
+ *  h => height, one of ALLOWED_SIZES
+ *  fit => how the image should fit both dimensions, one of FITS. Default cover
+ *  format => output format, one of FORMATS. Default is the original format
+ *  q => output quality from 1 to 100, rounded to the nearest QUALITY_STEP. Default 80
+ *
+ * @returns {object|null} the transform options, or null if no transform was requested
+ * @throws {Error} if any of the options are invalid
+ */
+const parseTransform = (query) => {
+    const { w, h, fit, format, q } = query;
+    if ([w, h, fit, format, q].every((value) => value === undefined)) {
+        return null;
+    }
+
+    const options = {
+        width: null,
+        height: null,
+        fit: fit || "cover",
+        format: format === "jpg" ? "jpeg" : format || null,
+        quality: DEFAULT_QUALITY,
+    };
+
+    if (w !== undefined) {
+        options.width = parseInt(w);
+        if (!ALLOWED_SIZES.includes(options.width)) {
+            throw new Error("w must be one of " + ALLOWED_SIZES.join(", "));
+        }
+    }
+
+    if (h !== undefined) {
+        options.height = parseInt(h);
+        if (!ALLOWED_SIZES.includes(options.height)) {
+            throw new Error("h must be one of " + ALLOWED_SIZES.join(", "));
+        }
+    }
+
+    if (!FITS.includes(options.fit)) {
+        throw new Error("fit must be one of " + FITS.join(", "));
+    }
+
+    if (options.format !== null && !FORMATS.includes(options.format)) {
+        throw new Error("format must be one of " + FORMATS.join(", "));
+    }
+
+    if (q !== undefined) {
+        const quality = parseInt(q);
+        if (!(quality >= 1 && quality <= 100)) {
+            throw new Error("q must be a number from 1 to 100");
+        }
+        options.quality = Math.max(
+            QUALITY_STEP,
+            Math.round(quality / QUALITY_STEP) * QUALITY_STEP
+        );
+    }
+
+    return options;
+};
+
+/*
+ * The output format used for each original file extension when no format is
+ * requested
+ */
+const EXTENSION_FORMATS = {
+    ".jpg": "jpeg",
+    ".jpeg": "jpeg",
+    ".png": "png",
+    ".webp": "webp",
+    ".avif": "avif",
+};
+
+/*
+ * Gets the directory that holds every cached transform of an image
+ */
+const cacheDirFor = (cacheDir, key) =>
+    path.join(cacheDir, encodeURIComponent(key));
+
+/*
+ * Transforms an image, or reuses a previous transform with the same options from
+ * the disk cache
+ *
+ * @param {string} key - the storage key of the original image
+ * @param {function} load - reads the original image, only called when the
+ *  transform isn't cached yet
+ * @param {object} options - transform options returned from parseTransform
+ * @param {string} cacheDir - the directory transforms are cached in
+ *
+ * @returns {Promise<string>} the path to the transformed image
+ */
+const transformImage = async (key, load, options, cacheDir) => {
+    const format =
+        options.format ||
+        EXTENSION_FORMATS[path.extname(key).toLowerCase()] ||
+        "jpeg";
+    // Options that don't change the output are left out, so that the same output is
+    // only cached once. The fit only matters when both dimensions are given.
+    const fit = options.width && options.height ? options.fit : "cover";
+    const quality = LOSSLESS_FORMATS.includes(format) ? null : options.quality;
+    const cached = path.join(
+        cacheDirFor(cacheDir, key),
+        [
+            `${options.width || "auto"}x${options.height || "auto"}`,
+            fit,
+            ...(quality ? [`q${quality}`] : []),
+        ].join("-") + `.${format}`
+    );
+
+    try {
+        await fs.promises.access(cached);
+        return cached;
+    } catch (err) {
+        // Not cached yet
+    }
+
+    const source = await load();
+    await fs.promises.mkdir(path.dirname(cached), { recursive: true });
+
+    // Write to a temporary file first, so that concurrent requests never read
+    // a partially written transform
+    const temp = `${cached}.${process.pid}.${Date.now()}.tmp`;
+    await sharp(source)
+        .rotate()
+        .resize(options.width, options.height, { fit })
+        .toFormat(format, quality ? { quality } : {})
+        .toFile(temp);
+    await fs.promises.rename(temp, cached);
+
+    return cached;
+};
+
+/*
+ * Removes every cached transform of an image. Should be called whenever the
+ * original image is replaced or deleted.
+ */
+const clearTransformCache = (key, cacheDir) =>
+    fs.promises.rm(cacheDirFor(cacheDir, key), {
+        recursive: true,
+        force: true,
+    });
+
+module.exports = {
+    ALLOWED_SIZES,
+    FITS,
+    FORMATS,
+    DEFAULT_QUALITY,
+    parseTransform,
+    transformImage,
+    clearTransformCache,
+};
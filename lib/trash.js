@@ -0,0 +1,311 @@
+const path = require("path");
+const { ObjectId } = require("mongodb");
+const { storedFileName } = require("./images");
+const { clearTransformCache } = require("./transform");
+const { conflict, notFound, isDuplicateKey } = require("./errors");
+
+// Files in the trash are kept under this prefix, which is never served
+const TRASH_PREFIX = "trash/";
+
+// How long deleted items are kept in the trash before they are purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/*
+ * Checks if a stored file is in the trash. Keys are normalized first, since the
+ * local storage driver resolves them as paths.
+ */
+const isTrashKey = (key) => path.posix.normalize(key).startsWith(TRASH_PREFIX);
+
+/*
+ * Gets the keys of an image's stored file and its renditions
+ */
+const imageFilesOf = (image) =>
+    [
+        storedFileName(image),
+        ...(image.renditions || []).map((rendition) => rendition.file),
+    ].filter((key) => key);
+
+/*
+ * Creates the helpers for moving images and files into the trash, and restoring or
+ * purging them. Each item in the trash keeps what is needed to put it back: the
+ * image document and the albums it was in, and the keys of its files.
+ *
+ * @param {object} options
+ *  trash, images, albums, revisions => the collections
+ *  storage => the storage driver
+ *  transformCacheDir => the transform cache directory
+ *
+ * @returns {object} the helpers
+ */
+const createTrash = ({
+    trash,
+    images,
+    albums,
+    revisions,
+    storage,
+    transformCacheDir,
+}) => {
+    /*
+     * Moves files into or out of the trash. Files that are already missing are
+     * skipped, like when removing them.
+     */
+    const moveFiles = async (keys, intoTrash) => {
+        for (const key of keys) {
+            try {
+                if (intoTrash) {
+                    await storage.move(key, TRASH_PREFIX + key);
+                } else {
+                    await storage.move(TRASH_PREFIX + key, key);
+                }
+            } catch (err) {
+                if (err.code != "ENOENT") {
+                    throw err;
+                }
+            }
+        }
+    };
+
+    /*
+     * Adds an item to the trash, to be purged after the retention period
+     */
+    const addItem = async (item, user) => {
+        const now = new Date();
+        const trashed = {
+            _id: new ObjectId().toHexString(),
+            ...item,
+            deletedBy: user.email,
+            deletedAt: now,
+            purgeAt: new Date(
+                now.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+            ),
+        };
+        await trash.insertOne(trashed);
+        return trashed;
+    };
+
+    /*
+     * Moves an image from the images collection into the trash, along with its files.
+     * The trash item is added before the image is deleted, so the image can't be lost
+     * in between. Has to be called before the image is removed from its albums, so
+     * they can be recorded.
+     *
+     * @param {object} filter - the filter for the image, like its _id and owner
+     * @param {object} user - who deleted it, from req.user
+     *
+     * @returns {Promise<object>} the trash item, with the deleted image document as
+     *  image, or null if no image matched or it was changed in the meantime
+     * @throws {Error} if the files couldn't be moved, after putting the image back
+     */
+    const trashImage = async (filter, user) => {
+        const image = await images.findOne(filter);
+        if (image == null) {
+            return null;
+        }
+
+        const inAlbums = await albums
+            .find({ images: image._id }, { projection: { _id: 1 } })
+            .toArray();
+        const item = await addItem(
+            {
+                type: "image",
+                target: image._id,
+                ownerEmail: image.ownerEmail || user.email,
+                image,
+                albums: inAlbums.map((album) => album._id),
+                files: imageFilesOf(image),
+            },
+            user
+        );
+
+        const { deletedCount } = await images.deleteOne({
+            ...filter,
+            _id: image._id,
+            version: image.version || null,
+        });
+        if (!deletedCount) {
+            await trash.deleteOne({ _id: item._id });
+            return null;
+        }
+
+        // Files left where they are could still be served, so the image is put back
+        // if they can't all be moved
+        try {
+            await moveFiles(item.files, true);
+        } catch (err) {
+            await moveFiles(item.files, false);
+            await images.insertOne(image);
+            await trash.deleteOne({ _id: item._id });
+            throw err;
+        }
+
+        // Cached transforms would otherwise still be served
+        for (const key of item.files) {
+            await clearTransformCache(key, transformCacheDir);
+        }
+        return item;
+    };
+
+    /*
+     * Moves a stored file into the trash
+     *
+     * @param {string} key - the key of the file
+     * @param {object} image - the image that uses the file, or null
+     * @param {object} user - who deleted it, from req.user
+     *
+     * @returns {Promise<object>} the trash item
+     */
+    const trashFile = async (key, image, user) => {
+        const item = await addItem(
+            {
+                type: "file",
+                target: key,
+                ownerEmail: image ? image.ownerEmail : user.email,
+                image: null,
+                imageId: image ? image._id : null,
+                files: [key],
+            },
+            user
+        );
+
+        await moveFiles(item.files, true);
+        await clearTransformCache(key, transformCacheDir);
+        return item;
+    };
+
+    /*
+     * Puts an item from the trash back where it was. Images are added back to the
+     * albums they were in that still exist, at the end.
+     *
+     * @param {object} filter - the filter for the trash item, like its _id
+     *
+     * @returns {Promise<object>} the restored trash item
+     * @throws {ApiError} a 404 if there is no such item, or a 409 if the image or
+     *  file has been replaced since it was deleted
+     */
+    const restoreFromTrash = async (filter) => {
+        // Deleting the item first means only one request can restore it. It's put
+        // back if the restore fails, so that it can be tried again.
+        const { value: item } = await trash.findOneAndDelete(filter);
+        if (item == null) {
+            throw notFound("Trash item not found");
+        }
+
+        let exists = false;
+        try {
+            exists =
+                item.type === "file"
+                    ? await storage.exists(item.target)
+                    : (await images.findOne({ _id: item.target })) != null;
+        } catch (err) {
+            await trash.insertOne(item);
+            throw err;
+        }
+        if (exists) {
+            await trash.insertOne(item);
+            throw item.type === "file"
+                ? conflict(
+                      "A file with the same name has been stored since",
+                      "file_exists"
+                  )
+                : conflict(
+                      "An image with the same id has been added since",
+                      "image_exists"
+                  );
+        }
+
+        // Files that were already moved back are skipped
+        try {
+            await moveFiles(item.files, false);
+            if (item.type === "image") {
+                await images.insertOne(item.image);
+            }
+        } catch (err) {
+            await moveFiles(item.files, true);
+            await trash.insertOne(item);
+            if (isDuplicateKey(err)) {
+                throw conflict(
+                    "An image with the same id has been added since",
+                    "image_exists"
+                );
+            }
+            throw err;
+        }
+
+        if (item.type === "image" && item.albums.length) {
+            await albums.updateMany(
+                { _id: { $in: item.albums } },
+                {
+                    $addToSet: { images: item.target },
+                    $set: { updatedAt: new Date() },
+                }
+            );
+        }
+
+        return item;
+    };
+
+    /*
+     * Permanently deletes an item in the trash, along with its files and the
+     * revisions of its image
+     *
+     * @param {object} filter - the filter for the trash item, like its _id
+     *
+     * @returns {Promise<object>} the purged trash item
+     * @throws {ApiError} a 404 if there is no such item
+     */
+    const purgeFromTrash = async (filter) => {
+        // Deleting the item first means only one request can purge it
+        const { value } = await trash.findOneAndDelete(filter);
+        if (value == null) {
+            throw notFound("Trash item not found");
+        }
+
+        await Promise.all(
+            value.files.map((key) => storage.remove(TRASH_PREFIX + key))
+        );
+        if (value.type === "image") {
+            await revisions.deleteMany({ imageId: value.target });
+        }
+        return value;
+    };
+
+    /*
+     * Purges every item that has been in the trash longer than the retention period
+     *
+     * @returns {Promise<number>} how many items were purged
+     */
+    const purgeExpiredTrash = async () => {
+        const expired = await trash
+            .find({ purgeAt: { $lte: new Date() } }, { projection: { _id: 1 } })
+            .toArray();
+
+        let purged = 0;
+        for (const { _id } of expired) {
+            try {
+                await purgeFromTrash({ _id });
+                purged++;
+            } catch (err) {
+                // Another instance of the server purged it first
+                if (err.status != 404) {
+                    throw err;
+                }
+            }
+        }
+        return purged;
+    };
+
+    return {
+        trashImage,
+        trashFile,
+        restoreFromTrash,
+        purgeFromTrash,
+        purgeExpiredTrash,
+    };
+};
+
+module.exports = {
+    TRASH_PREFIX,
+    TRASH_RETENTION_DAYS,
+    isTrashKey,
+    createTrash,
+};
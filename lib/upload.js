@@ -0,0 +1,167 @@
+const crypto = require("crypto");
+const path = require("path");
+const sharp = require("sharp");
+const HttpStatus = require("http-status-codes");
+const { ApiError } = require("./errors");
+
+/*
+ * Limits on uploaded images. The byte limit is enforced while the upload is being
+ * received, and the pixel limits once its header has been read.
+ */
+const MAX_UPLOAD_BYTES =
+    parseInt(process.env.MAX_UPLOAD_BYTES) || 25 * 1024 * 1024;
+const MAX_IMAGE_DIMENSION = parseInt(process.env.MAX_IMAGE_DIMENSION) || 12000;
+const MAX_IMAGE_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS) || 50000000;
+
+/*
+ * The image types that can be uploaded, and the bytes every file of that type
+ * starts with. A null byte in a signature matches anything.
+ */
+const IMAGE_TYPES = [
+    {
+        format: "jpeg",
+        extension: "jpg",
+        mimeType: "image/jpeg",
+        signature: [0xff, 0xd8, 0xff],
+    },
+    {
+        format: "png",
+        extension: "png",
+        mimeType: "image/png",
+        signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+    },
+    {
+        format: "gif",
+        extension: "gif",
+        mimeType: "image/gif",
+        signature: [0x47, 0x49, 0x46, 0x38],
+    },
+    {
+        format: "webp",
+        extension: "webp",
+        mimeType: "image/webp",
+        // RIFF....WEBP
+        signature: [
+            0x52,
+            0x49,
+            0x46,
+            0x46,
+            null,
+            null,
+            null,
+            null,
+            0x57,
+            0x45,
+            0x42,
+            0x50,
+        ],
+    },
+];
+
+/*
+ * Creates an error for a rejected upload, with the status it should be sent with
+ */
+const uploadError = (status, code, msg) => new ApiError(status, code, msg);
+
+/*
+ * Detects the type of an image from its first bytes, ignoring its file name and
+ * the content type the client sent
+ *
+ * @returns {object|null} the image type from IMAGE_TYPES, or null if it isn't one
+ */
+const detectImageType = (data) =>
+    IMAGE_TYPES.find(
+        (type) =>
+            data.length >= type.signature.length &&
+            type.signature.every((byte, i) => byte === null || data[i] === byte)
+    ) || null;
+
+/*
+ * Checks that an uploaded file is an allowed image within the size limits
+ *
+ * @param {object} file - an uploaded file from express-fileupload
+ *
+ * @returns {Promise<object>} the detected image type, and the width and height of
+ *  the image
+ * @throws {ApiError} an upload error with a 4xx status if the file is rejected
+ */
+const validateUpload = async (file) => {
+    if (Array.isArray(file)) {
+        throw uploadError(
+            HttpStatus.BAD_REQUEST,
+            "too_many_files",
+            "Only one image can be uploaded at a time"
+        );
+    }
+
+    if (file.truncated || file.size > MAX_UPLOAD_BYTES) {
+        throw uploadError(
+            HttpStatus.REQUEST_TOO_LONG,
+            "file_too_large",
+            `Image is larger than the limit of ${MAX_UPLOAD_BYTES} bytes`
+        );
+    }
+
+    const type = detectImageType(file.data);
+    if (!type) {
+        throw uploadError(
+            HttpStatus.UNSUPPORTED_MEDIA_TYPE,
+            "unsupported_file_type",
+            "File must be a " +
+                IMAGE_TYPES.map((t) => t.format).join(", ") +
+                " image"
+        );
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(file.data, {
+            limitInputPixels: false,
+        }).metadata();
+    } catch (err) {
+        throw uploadError(
+            HttpStatus.UNSUPPORTED_MEDIA_TYPE,
+            "unreadable_image",
+            "File could not be read as an image"
+        );
+    }
+
+    const { width, height } = metadata;
+    if (
+        width > MAX_IMAGE_DIMENSION ||
+        height > MAX_IMAGE_DIMENSION ||
+        width * height > MAX_IMAGE_PIXELS
+    ) {
+        throw uploadError(
+            HttpStatus.UNPROCESSABLE_ENTITY,
+            "image_too_large",
+            `Image is ${width}x${height}, but can be at most ` +
+                `${MAX_IMAGE_DIMENSION} pixels on each side and ` +
+                `${MAX_IMAGE_PIXELS} pixels in total`
+        );
+    }
+
+    return { type, width, height };
+};
+
+/*
+ * Generates a new random name to store an image under. Client file names are
+ * never used, so uploads can't overwrite each other or escape the images
+ * directory.
+ */
+const generateFileName = (type) =>
+    `${crypto.randomBytes(16).toString("hex")}.${type.extension}`;
+
+/*
+ * Cleans up the file name a client sent, to keep as metadata
+ */
+const originalNameOf = (file) => path.basename(String(file.name)).slice(0, 255);
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    IMAGE_TYPES,
+    detectImageType,
+    validateUpload,
+    generateFileName,
+    originalNameOf,
+};
@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+
+/*
+ * The roles a user can have, from most to least powerful
+ *
+ *  admin => can do anything, including managing users
+ *  editor => can upload images, and change or delete their own images
+ *  viewer => can only view images
+ */
+const ROLES = ["admin", "editor", "viewer"];
+
+const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+
+/*
+ * Gets the role of a user. Users from before roles existed were the only user, so
+ * they are admins.
+ */
+const roleOf = (user) => (ROLES.includes(user.role) ? user.role : "admin");
+
+/*
+ * Checks that a password is acceptable
+ *
+ * @returns {string|null} why the password isn't acceptable, or null if it is
+ */
+const checkPassword = (password) => {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+};
+
+/*
+ * Hashes a random token, so that only the hash has to be stored
+ */
+const hashToken = (token) =>
+    crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/*
+ * Generates a random token for invites, password resets and the like
+ *
+ * @returns {object} the token to give to the user, and its hash to store
+ */
+const generateToken = () => {
+    const token = crypto.randomBytes(32).toString("hex");
+    return { token, hash: hashToken(token) };
+};
+
+/*
+ * Normalizes an email address, so the same address always finds the same user
+ */
+const normalizeEmail = (email) =>
+    String(email || "")
+        .trim()
+        .toLowerCase();
+
+/*
+ * Normalizes the emails stored before emails were normalized, so that existing users
+ * can still log in and still own their images, albums and shares. Users whose emails
+ * only differ in case can't be told apart anymore, so they are left as they are and
+ * logged for an admin to sort out.
+ *
+ * @param {Collection} users - the users collection
+ * @param {Array} references - the other collections that refer to users by email,
+ *  each as { collection, field }
+ *
+ * @returns {Promise<number>} the number of users whose email was changed
+ */
+const normalizeStoredEmails = async (users, references) => {
+    const groups = new Map();
+    (await users.find({}, { projection: { email: 1 } }).toArray()).forEach(
+        (user) => {
+            const email = normalizeEmail(user.email);
+            groups.set(email, [...(groups.get(email) || []), user]);
+        }
+    );
+
+    const colliding = new Set();
+    let updated = 0;
+    for (const [email, matches] of groups) {
+        if (matches.length > 1) {
+            matches.forEach((user) => colliding.add(user.email));
+            console.error(
+                "Could not normalize the emails of users " +
+                    matches.map((user) => user.email).join(", ") +
+                    " - they only differ in case"
+            );
+            continue;
+        }
+
+        if (matches[0].email !== email) {
+            await users.updateOne({ _id: matches[0]._id }, { $set: { email } });
+            updated++;
+        }
+    }
+
+    for (const { collection, field } of references) {
+        for (const value of await collection.distinct(field)) {
+            if (typeof value !== "string" || colliding.has(value)) {
+                continue;
+            }
+
+            const email = normalizeEmail(value);
+            if (email !== value) {
+                await collection.updateMany(
+                    { [field]: value },
+                    { $set: { [field]: email } }
+                );
+            }
+        }
+    }
+
+    return updated;
+};
+
+module.exports = {
+    ROLES,
+    BCRYPT_ROUNDS,
+    roleOf,
+    checkPassword,
+    hashToken,
+    generateToken,
+    normalizeEmail,
+    normalizeStoredEmails,
+};
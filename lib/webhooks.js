@@ -0,0 +1,247 @@
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const packageConfig = require("../package.json");
+
+// How many times a delivery is tried before it's given up on
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+
+// How long to wait for a webhook to respond, in milliseconds
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// How long to wait before the first retry. Each retry after that waits twice as long.
+const RETRY_DELAY_MS = 30 * 1000;
+
+/*
+ * Checks if a webhook subscribed to an event, either by name or with a wildcard like
+ * image.* or *
+ */
+const matchesEvent = (events, event) =>
+    events.some(
+        (pattern) =>
+            pattern === "*" ||
+            pattern === event ||
+            (pattern.endsWith(".*") && event.startsWith(pattern.slice(0, -1)))
+    );
+
+/*
+ * Signs a payload for a webhook. The signature is the hex HMAC-SHA256 of the
+ * timestamp and the body joined with a dot, using the webhook's secret, so receivers
+ * can check that a payload came from this server and isn't being replayed.
+ *
+ * @param {string} secret - the secret of the webhook
+ * @param {number} timestamp - when the payload was sent, in seconds since the epoch
+ * @param {string} body - the JSON body of the request
+ *
+ * @returns {string} the signature, prefixed with sha256=
+ */
+const signPayload = (secret, timestamp, body) =>
+    "sha256=" +
+    crypto
+        .createHmac("sha256", secret)
+        .update(timestamp + "." + body)
+        .digest("hex");
+
+/*
+ * Sends a JSON body to a URL in a POST request. The response body is ignored.
+ *
+ * @returns {Promise<number>} the status of the response
+ * @throws {Error} if the request couldn't be sent or timed out
+ */
+const postJson = (url, headers, body) =>
+    new Promise((resolve, reject) => {
+        const client = url.startsWith("https:") ? https : http;
+        const req = client.request(
+            url,
+            {
+                method: "POST",
+                headers: {
+                    ...headers,
+                    "Content-Type": "application/json",
+                    "Content-Length": Buffer.byteLength(body),
+                },
+                timeout: WEBHOOK_TIMEOUT_MS,
+            },
+            (res) => {
+                res.resume();
+                resolve(res.statusCode);
+            }
+        );
+        req.on("timeout", () => req.destroy(new Error("Timed out")));
+        req.on("error", reject);
+        req.end(body);
+    });
+
+/*
+ * Creates the helpers for sending library events to webhooks. Each event is queued as
+ * a delivery for every active webhook subscribed to it, and deliveries that fail are
+ * retried with exponential backoff. Every attempt is kept in the delivery's log.
+ *
+ * @param {object} options
+ *  webhooks => the collection of webhook subscriptions
+ *  webhookDeliveries => the collection of deliveries
+ *
+ * @returns {object} the helpers
+ */
+const createWebhooks = ({ webhooks, webhookDeliveries }) => {
+    let delivering = false;
+
+    /*
+     * Sends a delivery to its webhook, and records the attempt. A delivery succeeds
+     * when the webhook responds with a 2xx status.
+     */
+    const attemptDelivery = async (delivery) => {
+        const webhook = await webhooks.findOne({ _id: delivery.webhookId });
+        const attempt = { at: new Date(), status: null, error: null };
+
+        if (webhook == null || !webhook.active) {
+            attempt.error = "Webhook was removed or disabled";
+            await webhookDeliveries.updateOne(
+                { _id: delivery._id },
+                { $set: { status: "failed" }, $push: { attempts: attempt } }
+            );
+            return;
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        try {
+            attempt.status = await postJson(
+                webhook.url,
+                {
+                    "User-Agent":
+                        packageConfig.name + "/" + packageConfig.version,
+                    "X-Webhook-Event": delivery.event,
+                    "X-Webhook-Delivery": delivery._id,
+                    "X-Webhook-Timestamp": String(timestamp),
+                    "X-Webhook-Signature": signPayload(
+                        webhook.secret,
+                        timestamp,
+                        body
+                    ),
+                },
+                body
+            );
+            if (attempt.status < 200 || attempt.status >= 300) {
+                attempt.error = "Webhook responded with " + attempt.status;
+            }
+        } catch (err) {
+            attempt.error = err.message;
+        }
+
+        const tries = delivery.attempts.length + 1;
+        let update;
+        if (!attempt.error) {
+            update = { status: "delivered", deliveredAt: new Date() };
+        } else if (tries >= WEBHOOK_MAX_ATTEMPTS) {
+            update = { status: "failed" };
+        } else {
+            update = {
+                nextAttemptAt: new Date(
+                    Date.now() + RETRY_DELAY_MS * 2 ** (tries - 1)
+                ),
+            };
+        }
+        await webhookDeliveries.updateOne(
+            { _id: delivery._id },
+            { $set: update, $push: { attempts: attempt } }
+        );
+    };
+
+    /*
+     * Sends every pending delivery that is due. Each delivery is claimed before it's
+     * sent, by pushing back its next attempt, so that it's only sent once even with
+     * more than one server running.
+     */
+    const deliverPending = async () => {
+        if (delivering) {
+            return;
+        }
+
+        delivering = true;
+        try {
+            for (;;) {
+                const now = new Date();
+                const { value } = await webhookDeliveries.findOneAndUpdate(
+                    { status: "pending", nextAttemptAt: { $lte: now } },
+                    {
+                        $set: {
+                            nextAttemptAt: new Date(
+                                now.getTime() +
+                                    WEBHOOK_TIMEOUT_MS +
+                                    RETRY_DELAY_MS
+                            ),
+                        },
+                    },
+                    { sort: { nextAttemptAt: 1 } }
+                );
+                if (value == null) {
+                    break;
+                }
+
+                await attemptDelivery(value);
+            }
+        } finally {
+            delivering = false;
+        }
+    };
+
+    /*
+     * Queues deliveries of events for every active webhook that subscribed to them,
+     * and starts sending them. The changes have already been made, so a failure to
+     * queue them is logged instead of failing the request.
+     *
+     * @param {Array} events - the audit log entries of the changes, each with the
+     *  document after the change as document, or null if it was deleted
+     */
+    const dispatchEvents = async (events) => {
+        try {
+            const subscribed = await webhooks.find({ active: true }).toArray();
+            const deliveries = events.flatMap((event) =>
+                subscribed
+                    .filter((webhook) =>
+                        matchesEvent(webhook.events, event.action)
+                    )
+                    .map((webhook) => {
+                        const _id = new ObjectId().toHexString();
+                        return {
+                            _id,
+                            webhookId: webhook._id,
+                            event: event.action,
+                            payload: {
+                                id: _id,
+                                event: event.action,
+                                type: event.type,
+                                target: event.target,
+                                actor: event.actor,
+                                changes: event.changes,
+                                document: event.document,
+                                occurredAt: event.createdAt,
+                            },
+                            status: "pending",
+                            attempts: [],
+                            nextAttemptAt: new Date(),
+                            createdAt: new Date(),
+                        };
+                    })
+            );
+            if (!deliveries.length) {
+                return;
+            }
+
+            await webhookDeliveries.insertMany(deliveries);
+        } catch (err) {
+            console.error("Could not queue webhook deliveries - " + err);
+            return;
+        }
+
+        deliverPending().catch((err) =>
+            console.error("Could not send webhook deliveries - " + err)
+        );
+    };
+
+    return { dispatchEvents, deliverPending };
+};
+
+module.exports = { createWebhooks };
@@ -0,0 +1,652 @@
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const express = require("express");
+const HttpStatus = require("http-status-codes");
+const packageConfig = require("../package.json");
+const { storedFileName } = require("../lib/images");
+const { METADATA_FIELDS, validateImage } = require("../lib/schema");
+const { normalizeTag } = require("../lib/tags");
+const { writeArchive } = require("../lib/archive");
+const { clearTransformCache } = require("../lib/transform");
+const { parseBooleanField } = require("../lib/fields");
+const { TRASH_PREFIX, isTrashKey } = require("../lib/trash");
+const { badRequest, asyncHandler } = require("../lib/errors");
+const {
+    BACKUP_FORMAT,
+    IMPORT_MODES,
+    encodeDocuments,
+    decodeDocuments,
+    checkDocuments,
+    fileKeyOf,
+    readArchive,
+} = require("../lib/backup");
+
+/*
+ * Decides what an import does with each document, by comparing them with the
+ * documents already in a collection
+ *
+ * @param {object} collection - the collection being imported into
+ * @param {Array} documents - the documents from the archive
+ * @param {string} key - the field that identifies a document, like _id
+ * @param {string} mode - one of the IMPORT_MODES
+ *
+ * @returns {Promise<object>} the documents to create, to replace and to skip.
+ *  Replacements keep the _id of the existing document, and the existing documents
+ *  they replace are kept in before, by _id.
+ */
+const planImport = async (collection, documents, key, mode) => {
+    const existing = await collection
+        .find({ [key]: { $in: documents.map((doc) => doc[key]) } })
+        .toArray();
+    const byKey = new Map(existing.map((doc) => [String(doc[key]), doc]));
+
+    const plan = { create: [], replace: [], skip: [], before: new Map() };
+    documents.forEach((doc) => {
+        const current = byKey.get(String(doc[key]));
+        if (!current) {
+            plan.create.push(doc);
+        } else if (
+            mode === "overwrite" ||
+            (mode === "merge" && doc.updatedAt > current.updatedAt)
+        ) {
+            plan.replace.push({ ...doc, _id: current._id });
+            plan.before.set(String(current._id), current);
+        } else {
+            plan.skip.push(doc);
+        }
+    });
+    return plan;
+};
+
+/*
+ * Summarizes the plan for a collection in an import report
+ */
+const importSummary = (plan, key) => ({
+    created: plan.create.length,
+    replaced: plan.replace.length,
+    skipped: plan.skip.length,
+    conflicts: [...plan.replace, ...plan.skip].map((doc) => doc[key]),
+});
+
+/*
+ * Writes the documents of an import plan to a collection. Each write adds a step to
+ * undo, so that a failed import can be rolled back.
+ */
+const applyImport = async (collection, plan, undo) => {
+    if (plan.create.length) {
+        // The ids are read when undoing, since ones that were missing are set on insert
+        undo.push(() =>
+            collection.deleteMany({
+                _id: { $in: plan.create.map((doc) => doc._id) },
+            })
+        );
+        await collection.insertMany(plan.create);
+    }
+    for (const doc of plan.replace) {
+        const before = plan.before.get(String(doc._id));
+        undo.push(() => collection.replaceOne({ _id: doc._id }, before));
+        await collection.replaceOne({ _id: doc._id }, doc);
+    }
+};
+
+/*
+ * Undoes the writes of a failed import, most recent first. Steps that fail are
+ * logged, so the rest are still undone.
+ */
+const rollBack = async (undo) => {
+    for (const step of undo.reverse()) {
+        try {
+            await step();
+        } catch (err) {
+            console.error("Could not roll back part of an import - " + err);
+        }
+    }
+};
+
+/*
+ * Checks an imported image like the image endpoints check the metadata they're
+ * given. Its tags have to be normalized already, and each one has to be in the
+ * library or in the archive.
+ *
+ * @param {object} image - the image document from the archive
+ * @param {Set} knownTags - the names of the tags the image can use
+ *
+ * @returns {Array} a list of field errors, which is empty if the image is valid
+ */
+const checkImportedImage = (image, knownTags) => {
+    const metadata = { _id: image._id };
+    METADATA_FIELDS.filter((field) => image[field] !== undefined).forEach(
+        (field) => (metadata[field] = image[field])
+    );
+
+    const errors = validateImage(metadata, "patch");
+    if (!errors.length) {
+        (metadata.tags || []).forEach((tag, i) => {
+            if (!knownTags.has(tag)) {
+                errors.push({
+                    field: "tags." + i,
+                    msg: "tag " + tag + " does not exist",
+                });
+            }
+        });
+    }
+    return errors;
+};
+
+/*
+ * Creates the routes for maintaining, exporting and importing the whole library
+ */
+const createAdminRouter = ({
+    images,
+    uploads,
+    tags,
+    albums,
+    storage,
+    transformCacheDir,
+    fileUrl,
+    withUrls,
+    auth,
+    adminOnly,
+    removeFromAlbums,
+    recordChange,
+    recordImageChanges,
+    trashImage,
+    trashFile,
+}) => {
+    const router = express.Router();
+
+    /*
+     * Compares the images collection with the stored files, and reports files that
+     * no image document references, and image documents whose file is missing. Files
+     * in the trash are left alone, and an image whose file is in the trash isn't
+     * missing it, since the file can still be restored. Files that were uploaded but
+     * haven't been used by an image yet aren't orphaned. Deleting moves the orphaned
+     * files and documents to the trash, like deleting them through their endpoints.
+     *
+     * Body: (optional)
+     *  Example:
+     *  {
+     *      delete: <true to delete the orphaned files and documents. Default false>
+     *  }
+     *
+     * @returns {json} the orphaned files and documents, and whether they were deleted
+     */
+    router.post(
+        "/admin/reconcile",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let shouldDelete = req.body.delete === true;
+            let [documents, pending, files] = await Promise.all([
+                images
+                    .find(
+                        {},
+                        {
+                            projection: {
+                                fileName: 1,
+                                filePath: 1,
+                                renditions: 1,
+                            },
+                        }
+                    )
+                    .toArray(),
+                uploads
+                    .find({}, { projection: { fileName: 1, renditions: 1 } })
+                    .toArray(),
+                storage.list(),
+            ]);
+
+            let trashed = new Set(files.filter(isTrashKey));
+            files = files.filter((file) => !isTrashKey(file));
+            let existing = new Set(files);
+            let referenced = new Set();
+            let missingFiles = [];
+            documents.forEach((image) => {
+                let fileName = storedFileName(image);
+                referenced.add(fileName);
+                (image.renditions || []).forEach((rendition) =>
+                    referenced.add(rendition.file)
+                );
+
+                if (
+                    !existing.has(fileName) &&
+                    !trashed.has(TRASH_PREFIX + fileName)
+                ) {
+                    missingFiles.push(image);
+                }
+            });
+            // Uploads are waiting to be used by an image, so their files are kept
+            pending.forEach((upload) => {
+                referenced.add(upload.fileName || upload._id);
+                (upload.renditions || []).forEach((rendition) =>
+                    referenced.add(rendition.file)
+                );
+            });
+            let orphanedFiles = files.filter((file) => !referenced.has(file));
+
+            if (shouldDelete) {
+                for (let file of orphanedFiles) {
+                    await trashFile(file, null, req.user);
+                    await recordChange(
+                        req.user,
+                        "storage.delete",
+                        "file",
+                        file,
+                        { fileName: file, image: null },
+                        null
+                    );
+                }
+                let deleted = [];
+                for (let { _id } of missingFiles) {
+                    let item = await trashImage({ _id }, req.user);
+                    if (item != null) {
+                        deleted.push(item.image);
+                    }
+                }
+                if (deleted.length) {
+                    await removeFromAlbums(deleted.map((image) => image._id));
+                }
+                await recordImageChanges(
+                    req.user,
+                    "image.delete",
+                    deleted.map((image) => ({ before: image, after: null }))
+                );
+            }
+
+            return res.status(HttpStatus.OK).json({
+                orphanedFiles,
+                missingFiles: missingFiles.map((image) => ({
+                    _id: image._id,
+                    fileName: storedFileName(image),
+                })),
+                deleted: shouldDelete,
+            });
+        })
+    );
+
+    /*
+     * Exports the whole library as a ZIP archive, for backups or moving it to another
+     * server. The archive has the images, tags and albums documents as JSON, every
+     * stored file under files/, and a manifest.json. The trash isn't exported. Use
+     * /api/v1/admin/import to restore it.
+     *
+     * @returns {zip} the archive, or a json error
+     */
+    router.get(
+        "/admin/export",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let [
+                imageDocuments,
+                tagDocuments,
+                albumDocuments,
+                keys,
+            ] = await Promise.all([
+                images.find().toArray(),
+                tags.find().toArray(),
+                albums.find().toArray(),
+                storage.list(),
+            ]);
+
+            keys = keys.filter((key) => !isTrashKey(key));
+
+            // Once the archive has started, an error can only cut the response short
+            res.attachment(
+                `library-${new Date().toISOString().slice(0, 10)}.zip`
+            );
+            await writeArchive(
+                res,
+                keys.map((key) => ({ key, name: `files/${key}` })),
+                storage,
+                (missing) => ({
+                    "manifest.json": JSON.stringify(
+                        {
+                            format: BACKUP_FORMAT,
+                            version: packageConfig.version,
+                            createdAt: new Date(),
+                            counts: {
+                                images: imageDocuments.length,
+                                tags: tagDocuments.length,
+                                albums: albumDocuments.length,
+                                files: keys.length - missing.length,
+                            },
+                        },
+                        null,
+                        4
+                    ),
+                    "images.json": encodeDocuments(imageDocuments),
+                    "tags.json": encodeDocuments(tagDocuments),
+                    "albums.json": encodeDocuments(albumDocuments),
+                })
+            );
+        })
+    );
+
+    /*
+     * Imports an archive from /api/v1/admin/export. Documents and files that aren't in
+     * the library yet are always added. Stored files are written along with the
+     * image documents that use them, and image URLs are pointed at this server.
+     * Tags are normalized and images are checked like the image endpoints check them,
+     * and nothing is imported if any of them is invalid. If writing fails part way,
+     * what was already written is undone. Imported tags and images are recorded in
+     * the audit log like any other change.
+     *
+     * Header: Content-Type - application/zip, with the archive as the request body
+     *
+     * Query Parameters:
+     *  mode => what to do with documents that are already in the library, one of
+     *      skip, overwrite or merge. Default skip
+     *      skip => keep the existing document
+     *      overwrite => replace it with the imported one
+     *      merge => keep whichever was updated most recently
+     *  dryRun => true to only report what the import would do. Default false
+     *
+     * @returns {json} a report of the documents created, replaced and skipped in
+     *  each collection, and the files written and skipped
+     */
+    router.post(
+        "/admin/import",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let mode = req.query.mode || "skip";
+            let dryRun = parseBooleanField(req.query.dryRun, false);
+            if (!IMPORT_MODES.includes(mode)) {
+                throw badRequest(
+                    "mode must be one of " + IMPORT_MODES.join(", "),
+                    "invalid_query"
+                );
+            }
+            if (!req.is("application/zip")) {
+                throw badRequest(
+                    "The archive must be sent as application/zip",
+                    "invalid_archive"
+                );
+            }
+
+            let file = path.join(
+                os.tmpdir(),
+                `import-${crypto.randomBytes(8).toString("hex")}.zip`
+            );
+            let archive;
+            let backups = [];
+            try {
+                await pipeline(req, fs.createWriteStream(file));
+                try {
+                    archive = await readArchive(file);
+                } catch (err) {
+                    throw badRequest(
+                        "Archive is not a valid ZIP file",
+                        "invalid_archive"
+                    );
+                }
+
+                let names = new Set(archive.names);
+                let manifest = {};
+                if (names.has("manifest.json")) {
+                    try {
+                        manifest = JSON.parse(
+                            await archive.read("manifest.json")
+                        );
+                    } catch (err) {
+                        throw badRequest(
+                            "manifest.json is invalid - " + err.message,
+                            "invalid_archive"
+                        );
+                    }
+                }
+                if (
+                    !manifest ||
+                    manifest.format !== BACKUP_FORMAT ||
+                    !names.has("images.json") ||
+                    !names.has("tags.json")
+                ) {
+                    throw badRequest(
+                        "Archive is not a library export from /api/v1/admin/export",
+                        "invalid_archive"
+                    );
+                }
+
+                // Every entry is checked before anything is imported
+                const readDocuments = async (name, key, normalizeKey) => {
+                    if (!names.has(name)) {
+                        return [];
+                    }
+
+                    let documents, problem;
+                    try {
+                        documents = decodeDocuments(
+                            String(await archive.read(name))
+                        );
+                        problem = checkDocuments(documents, key, normalizeKey);
+                    } catch (err) {
+                        problem = err.message;
+                    }
+                    if (problem) {
+                        throw badRequest(
+                            name + " is invalid - " + problem,
+                            "invalid_archive"
+                        );
+                    }
+                    return documents;
+                };
+                let documents = {
+                    tags: (
+                        await readDocuments("tags.json", "tag", normalizeTag)
+                    ).map((doc) => ({
+                        ...doc,
+                        tag: normalizeTag(doc.tag),
+                        parent: doc.parent ? normalizeTag(doc.parent) : null,
+                    })),
+                    images: (await readDocuments("images.json", "_id")).map(
+                        (image) =>
+                            Array.isArray(image.tags)
+                                ? {
+                                      ...image,
+                                      tags: image.tags.map((tag) =>
+                                          typeof tag === "string"
+                                              ? normalizeTag(tag)
+                                              : tag
+                                      ),
+                                  }
+                                : image
+                    ),
+                    albums: await readDocuments("albums.json", "_id"),
+                };
+
+                let knownTags = new Set([
+                    ...(await tags.distinct("tag")),
+                    ...documents.tags.map((doc) => doc.tag),
+                ]);
+                documents.images.forEach((image, i) => {
+                    let errors = checkImportedImage(image, knownTags);
+                    if (errors.length) {
+                        throw badRequest(
+                            "images.json is invalid - document " +
+                                i +
+                                " has invalid fields: " +
+                                errors
+                                    .map(
+                                        (error) => error.field + " " + error.msg
+                                    )
+                                    .join(", "),
+                            "invalid_archive",
+                            { index: i, errors }
+                        );
+                    }
+                });
+                let plans = {
+                    tags: await planImport(tags, documents.tags, "tag", mode),
+                    images: await planImport(
+                        images,
+                        documents.images,
+                        "_id",
+                        mode
+                    ),
+                    albums: await planImport(
+                        albums,
+                        documents.albums,
+                        "_id",
+                        mode
+                    ),
+                };
+
+                // Point the imported images at the files on this server
+                let fileNames = new Map(
+                    archive.names
+                        .map((name) => [fileKeyOf(name), name])
+                        .filter(([key]) => key && !isTrashKey(key))
+                );
+                let written = new Set();
+                ["create", "replace"].forEach((action) => {
+                    plans.images[action] = plans.images[action].map((image) => {
+                        let fileName = storedFileName(image);
+                        let renditions = image.renditions || [];
+                        written.add(fileName);
+                        renditions.forEach((rendition) =>
+                            written.add(rendition.file)
+                        );
+                        let before = plans.images.before.get(image._id);
+                        return {
+                            ...image,
+                            filePath: fileNames.has(fileName)
+                                ? fileUrl(fileName)
+                                : image.filePath,
+                            renditions: withUrls(renditions),
+                            // A replaced image is a new version of the existing one
+                            ...(before
+                                ? { version: (before.version || 0) + 1 }
+                                : {}),
+                        };
+                    });
+                });
+
+                // Files that are already stored are only replaced along with the image
+                // that uses them
+                let files = { written: 0, skipped: 0 };
+                let toWrite = [];
+                for (let [key, name] of fileNames) {
+                    let exists = await storage.exists(key);
+                    if (exists && !written.has(key)) {
+                        files.skipped++;
+                        continue;
+                    }
+
+                    toWrite.push({ key, name, exists });
+                    files.written++;
+                }
+
+                // The documents are written before the files, and both are undone if
+                // either fails. Replaced files are kept next to the archive until then.
+                if (!dryRun) {
+                    let undo = [];
+                    try {
+                        await applyImport(tags, plans.tags, undo);
+                        await applyImport(images, plans.images, undo);
+                        await applyImport(albums, plans.albums, undo);
+
+                        for (let { key, name, exists } of toWrite) {
+                            if (exists) {
+                                let backup = `${file}-${undo.length}`;
+                                backups.push(backup);
+                                await fs.promises.writeFile(
+                                    backup,
+                                    await storage.get(key)
+                                );
+                                undo.push(async () => {
+                                    await storage.put(
+                                        key,
+                                        await fs.promises.readFile(backup)
+                                    );
+                                    await clearTransformCache(
+                                        key,
+                                        transformCacheDir
+                                    );
+                                });
+                            } else {
+                                undo.push(() => storage.remove(key));
+                            }
+
+                            await storage.put(key, await archive.read(name));
+                            if (exists) {
+                                await clearTransformCache(
+                                    key,
+                                    transformCacheDir
+                                );
+                            }
+                        }
+                    } catch (err) {
+                        await rollBack(undo);
+                        throw err;
+                    }
+
+                    for (let tag of plans.tags.create) {
+                        await recordChange(
+                            req.user,
+                            "tag.create",
+                            "tag",
+                            tag.tag,
+                            null,
+                            tag
+                        );
+                    }
+                    for (let tag of plans.tags.replace) {
+                        await recordChange(
+                            req.user,
+                            "tag.update",
+                            "tag",
+                            tag.tag,
+                            plans.tags.before.get(String(tag._id)),
+                            tag
+                        );
+                    }
+                    await recordImageChanges(
+                        req.user,
+                        "image.create",
+                        plans.images.create.map((after) => ({
+                            before: null,
+                            after,
+                        }))
+                    );
+                    await recordImageChanges(
+                        req.user,
+                        "image.update",
+                        plans.images.replace.map((after) => ({
+                            before: plans.images.before.get(after._id),
+                            after,
+                        }))
+                    );
+                }
+
+                return res.status(HttpStatus.OK).json({
+                    msg: dryRun
+                        ? "Dry run, nothing was imported"
+                        : "Successfully imported library",
+                    mode,
+                    dryRun,
+                    tags: importSummary(plans.tags, "tag"),
+                    images: importSummary(plans.images, "_id"),
+                    albums: importSummary(plans.albums, "_id"),
+                    files,
+                });
+            } finally {
+                if (archive) {
+                    archive.close();
+                }
+                await Promise.all(
+                    [file, ...backups].map((name) =>
+                        fs.promises.rm(name, { force: true })
+                    )
+                );
+            }
+        })
+    );
+
+    return router;
+};
+
+module.exports = { createAdminRouter };
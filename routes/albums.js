@@ -0,0 +1,469 @@
+const express = require("express");
+const HttpStatus = require("http-status-codes");
+const { ObjectId } = require("mongodb");
+const { validateAlbum } = require("../lib/schema");
+const { canModify, ownerFilter } = require("../lib/auth");
+const { publicImageFilter } = require("../lib/library");
+const { withoutLocation } = require("../lib/metadata");
+const { parsePage } = require("../lib/fields");
+const {
+    badRequest,
+    forbidden,
+    notFound,
+    conflict,
+    invalidDocument,
+    asyncHandler,
+} = require("../lib/errors");
+
+/*
+ * Gets the filter that limits a query to the albums a user can see. Anyone can
+ * see public albums, and private albums can only be seen by their owner and
+ * admins.
+ */
+const albumVisibilityFilter = (user) => {
+    if (!user) {
+        return { public: true };
+    }
+
+    if (user.role === "admin") {
+        return {};
+    }
+
+    return { $or: [{ public: true }, { ownerEmail: user.email }] };
+};
+
+// The error for a cover that isn't one of the album's images
+const invalidCover = () =>
+    invalidDocument("Album", [
+        { field: "cover", msg: "must be one of the album's images" },
+    ]);
+
+/*
+ * Creates the routes for albums and the images in them
+ */
+const createAlbumsRouter = ({
+    images,
+    albums,
+    auth,
+    optionalAuth,
+    editorOnly,
+    missingImages,
+}) => {
+    const router = express.Router();
+
+    /*
+     * Gets the error for an album that couldn't be changed. That's a 404 if it
+     * doesn't exist, a 403 if the user can't change it, or a 409 if it was changed
+     * by someone else at the same time.
+     *
+     * @returns {Promise<ApiError>} the error to throw
+     */
+    const albumNotUpdated = async (user, _id) => {
+        const album = await albums.findOne({ _id });
+        if (album == null) {
+            return notFound("Album not found");
+        }
+
+        if (!canModify(user, album)) {
+            return forbidden("You can only change your own albums");
+        }
+
+        return conflict(
+            "Album has been changed since it was fetched, fetch it again",
+            "album_changed"
+        );
+    };
+
+    /*
+     * Gets an album, or many albums. Private albums are only shown to their owner
+     * and admins, and private images and GPS positions are only shown to logged in
+     * users. An album's
+     * cover is the image chosen as its cover, or its first image if none was chosen.
+     *
+     * Header: token - A JWT token signed from this server (optional)
+     *
+     * Query Parameters:
+     *  id => id of single album, which is returned with its images in order
+     *
+     *  pageSize => size of page, defaults to 15
+     *  pageNum => specific page number, defaults to 1
+     *
+     * @returns {json} a json array of albums, each with a coverImage, or a single
+     *  album with coverImage and items, the image documents in the album's order
+     */
+    router.get(
+        "/albums",
+        optionalAuth,
+        asyncHandler(async (req, res) => {
+            if (req.query.id) {
+                let album = await albums.findOne({
+                    _id: req.query.id,
+                    ...albumVisibilityFilter(req.user),
+                });
+                if (album == null) {
+                    throw notFound("Album not found");
+                }
+
+                let found = await images
+                    .find({
+                        _id: { $in: album.images },
+                        ...(req.user ? {} : publicImageFilter),
+                    })
+                    .toArray();
+                if (!req.user) {
+                    found = found.map(withoutLocation);
+                }
+                let byId = new Map(found.map((image) => [image._id, image]));
+                let items = album.images
+                    .map((id) => byId.get(id))
+                    .filter((image) => image);
+                return res.status(HttpStatus.OK).json({
+                    ...album,
+                    coverImage:
+                        byId.get(album.cover || album.images[0]) || null,
+                    items,
+                });
+            }
+
+            let result = await albums
+                .find(albumVisibilityFilter(req.user), {
+                    sort: { updatedAt: -1 },
+                    ...parsePage(req.query),
+                })
+                .toArray();
+
+            let covers = result
+                .map((album) => album.cover || album.images[0])
+                .filter((id) => id);
+            let coverImages = await images
+                .find({
+                    _id: { $in: covers },
+                    ...(req.user ? {} : publicImageFilter),
+                })
+                .toArray();
+            if (!req.user) {
+                coverImages = coverImages.map(withoutLocation);
+            }
+            let byId = new Map(coverImages.map((image) => [image._id, image]));
+            return res.status(HttpStatus.OK).json(
+                result.map((album) => ({
+                    ...album,
+                    coverImage:
+                        byId.get(album.cover || album.images[0]) || null,
+                }))
+            );
+        })
+    );
+
+    /*
+     * Creates a new album
+     *
+     * Body: an album document. _id, createdAt and updatedAt are set by the server.
+     *  Example:
+     *  {
+     *      title: <title of album, up to 200 characters>,
+     *      description: <description of album, up to 5000 characters> (optional),
+     *      images: <array of image ids, in order. Private images have to be your
+     *          own> (optional),
+     *      cover: <id of one of the album's images> (optional),
+     *      public: <whether anyone can see the album, defaults to false> (optional)
+     *  }
+     *
+     * @returns {json} the new album
+     */
+    router.post(
+        "/albums",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let { _id, ...body } = req.body;
+            let errors = validateAlbum(body, "create");
+            if (errors.length) {
+                throw invalidDocument("Album", errors);
+            }
+
+            let album = {
+                _id: new ObjectId().toHexString(),
+                title: body.title,
+                description: body.description || "",
+                images: body.images || [],
+                cover: body.cover || null,
+                public: body.public === true,
+                ownerEmail: req.user.email,
+            };
+            if (album.cover && !album.images.includes(album.cover)) {
+                throw invalidCover();
+            }
+
+            let missing = await missingImages(album.images, req.user);
+            if (missing.length) {
+                throw invalidDocument(
+                    "Album",
+                    missing.map((id) => ({
+                        field: "images." + album.images.indexOf(id),
+                        msg: "image " + id + " does not exist",
+                    }))
+                );
+            }
+
+            album.createdAt = album.updatedAt = new Date();
+            await albums.insertOne(album);
+            return res.status(HttpStatus.CREATED).json(album);
+        })
+    );
+
+    /*
+     * Updates the given fields of an album. Editors can only update their own
+     * albums. Use /api/v1/albums/images to change the album's images.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      _id: <id of an existing album>,
+     *      title: <title of album, up to 200 characters> (optional),
+     *      description: <description of album, up to 5000 characters> (optional),
+     *      cover: <id of one of the album's images, or null> (optional),
+     *      public: <whether anyone can see the album> (optional)
+     *  }
+     *
+     * @returns {json} the updated album
+     */
+    router.put(
+        "/albums",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let errors = validateAlbum(req.body, "update");
+            if (errors.length) {
+                throw invalidDocument("Album", errors);
+            }
+
+            let { _id, ...fields } = req.body;
+            let filter = { _id, ...ownerFilter(req.user) };
+            if (fields.cover) {
+                filter.images = fields.cover;
+            }
+
+            let { value } = await albums.findOneAndUpdate(
+                filter,
+                { $set: { ...fields, updatedAt: new Date() } },
+                { returnOriginal: false }
+            );
+            if (value != null) {
+                return res.status(HttpStatus.OK).json(value);
+            }
+
+            if (
+                fields.cover &&
+                (await albums.findOne({ _id, ...ownerFilter(req.user) }))
+            ) {
+                throw invalidCover();
+            }
+            throw await albumNotUpdated(req.user, _id);
+        })
+    );
+
+    /*
+     * Deletes an album. The images in it are kept. Editors can only delete their
+     * own albums.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      _id: <id of an existing album>
+     *  }
+     *
+     * @returns {json} a success or error message
+     */
+    router.delete(
+        "/albums",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let { value } = await albums.findOneAndDelete({
+                _id: req.body._id,
+                ...ownerFilter(req.user),
+            });
+            if (value == null) {
+                throw await albumNotUpdated(req.user, req.body._id);
+            }
+
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully deleted album _id=" + value._id,
+            });
+        })
+    );
+
+    /*
+     * Adds images to an album. Images already in the album are left where they are.
+     * Private images can only be added by someone who can change them.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      _id: <id of an existing album>,
+     *      images: <array of image ids>,
+     *      position: <index to insert the images at, defaults to the end> (optional)
+     *  }
+     *
+     * @returns {json} the updated album
+     */
+    router.post(
+        "/albums/images",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let { _id, images: ids, position } = req.body;
+            if (
+                !Array.isArray(ids) ||
+                !ids.length ||
+                ids.some((id) => typeof id !== "string") ||
+                (position != null && !Number.isInteger(position))
+            ) {
+                throw badRequest(
+                    "images must be a list of image ids, and position a number"
+                );
+            }
+
+            let album = await albums.findOne({ _id, ...ownerFilter(req.user) });
+            if (album == null) {
+                throw await albumNotUpdated(req.user, _id);
+            }
+
+            let added = [...new Set(ids)].filter(
+                (id) => !album.images.includes(id)
+            );
+            let missing = await missingImages(added, req.user);
+            if (missing.length) {
+                throw badRequest(
+                    "Images not found - " + missing.join(", "),
+                    "image_not_found"
+                );
+            }
+
+            let push = { $each: added };
+            if (position != null) {
+                push.$position = position;
+            }
+
+            // Only add to the album if none of the images were added in the meantime
+            let { value } = await albums.findOneAndUpdate(
+                { _id, images: { $nin: added } },
+                {
+                    $push: { images: push },
+                    $set: { updatedAt: new Date() },
+                },
+                { returnOriginal: false }
+            );
+            if (value == null) {
+                throw await albumNotUpdated(req.user, _id);
+            }
+
+            return res.status(HttpStatus.OK).json(value);
+        })
+    );
+
+    /*
+     * Removes images from an album, without deleting them. If the album's cover is
+     * removed, the album goes back to using its first image as the cover.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      _id: <id of an existing album>,
+     *      images: <array of image ids>
+     *  }
+     *
+     * @returns {json} the updated album
+     */
+    router.delete(
+        "/albums/images",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let { _id, images: ids } = req.body;
+            if (!Array.isArray(ids) || !ids.length) {
+                throw badRequest("images must be a list of image ids");
+            }
+
+            let { value } = await albums.findOneAndUpdate(
+                { _id, ...ownerFilter(req.user) },
+                {
+                    $pull: { images: { $in: ids } },
+                    $set: { updatedAt: new Date() },
+                },
+                { returnOriginal: false }
+            );
+            if (value == null) {
+                throw await albumNotUpdated(req.user, _id);
+            }
+
+            if (value.cover && ids.includes(value.cover)) {
+                await albums.updateOne(
+                    { _id, cover: value.cover },
+                    { $set: { cover: null } }
+                );
+                value.cover = null;
+            }
+
+            return res.status(HttpStatus.OK).json(value);
+        })
+    );
+
+    /*
+     * Reorders the images of an album. The new order has to have exactly the same
+     * images as the album.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      _id: <id of an existing album>,
+     *      images: <array of the album's image ids, in their new order>
+     *  }
+     *
+     * @returns {json} the updated album
+     */
+    router.put(
+        "/albums/images",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let { _id, images: ids } = req.body;
+            if (!Array.isArray(ids)) {
+                throw badRequest("images must be a list of image ids");
+            }
+
+            let album = await albums.findOne({ _id, ...ownerFilter(req.user) });
+            if (album == null) {
+                throw await albumNotUpdated(req.user, _id);
+            }
+
+            let current = new Set(album.images);
+            if (
+                ids.length !== album.images.length ||
+                new Set(ids).size !== ids.length ||
+                ids.some((id) => !current.has(id))
+            ) {
+                throw badRequest(
+                    "images must have exactly the album's images, in any order"
+                );
+            }
+
+            // Only reorder if the images weren't changed in the meantime
+            let { value } = await albums.findOneAndUpdate(
+                { _id, images: album.images },
+                { $set: { images: ids, updatedAt: new Date() } },
+                { returnOriginal: false }
+            );
+            if (value == null) {
+                throw await albumNotUpdated(req.user, _id);
+            }
+
+            return res.status(HttpStatus.OK).json(value);
+        })
+    );
+
+    return router;
+};
+
+module.exports = { createAlbumsRouter };
@@ -0,0 +1,69 @@
+const express = require("express");
+const HttpStatus = require("http-status-codes");
+const { parseDateQuery, parsePage } = require("../lib/fields");
+const { asyncHandler } = require("../lib/errors");
+
+/*
+ * Creates the routes for reading the audit log
+ */
+const createAuditRouter = ({ auditLog, auth, adminOnly }) => {
+    const router = express.Router();
+
+    /*
+     * Gets entries from the audit log, newest first. Every change to images, tags and
+     * stored files has an entry with who made it and the fields that changed.
+     *
+     * Query Parameters:
+     *  actor => only changes by the user with this email
+     *  action => only this action, like image.update or tag.delete
+     *  type => only changes to this type of document, one of image, tag or file
+     *  target => only changes to the document with this id, tag name or file name
+     *  since => only changes made on or after this date
+     *  until => only changes made on or before this date
+     *  pageSize => size of page, defaults to 50
+     *  pageNum => specific page number, defaults to 1
+     *
+     * @returns {json} a list of audit entries, each with the actor, action, target,
+     *  the changed fields with their values before and after, and when it happened
+     */
+    router.get(
+        "/audit",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let filter = {};
+            ["actor", "action", "type", "target"].forEach((field) => {
+                if (req.query[field]) {
+                    filter[field] = String(req.query[field]);
+                }
+            });
+            if (req.query.since || req.query.until) {
+                filter.createdAt = {};
+                if (req.query.since) {
+                    filter.createdAt.$gte = parseDateQuery(
+                        req.query.since,
+                        "since"
+                    );
+                }
+                if (req.query.until) {
+                    filter.createdAt.$lte = parseDateQuery(
+                        req.query.until,
+                        "until"
+                    );
+                }
+            }
+
+            let result = await auditLog
+                .find(filter, {
+                    sort: { createdAt: -1 },
+                    ...parsePage(req.query, 50),
+                })
+                .toArray();
+            return res.status(HttpStatus.OK).json(result);
+        })
+    );
+
+    return router;
+};
+
+module.exports = { createAuditRouter };
@@ -0,0 +1,205 @@
+const express = require("express");
+const HttpStatus = require("http-status-codes");
+const bcrypt = require("bcrypt");
+const { roleOf, hashToken, normalizeEmail } = require("../lib/users");
+const { ApiError, unauthorized, asyncHandler } = require("../lib/errors");
+
+// Compared against when a login's email doesn't exist, so that response times don't
+// give away which emails have accounts
+const dummyPasswordHash = bcrypt.hashSync("not a real password", 10);
+
+/*
+ * Creates the routes for logging in and out, and refreshing sessions
+ */
+const createAuthRouter = ({
+    users,
+    refreshTokens,
+    loginLimiter,
+    auth,
+    issueTokens,
+    signFileToken,
+    revokeAllTokens,
+}) => {
+    const router = express.Router();
+
+    /*
+     * Revokes every refresh token from the same login as a refresh token
+     */
+    const revokeFamily = (family) =>
+        refreshTokens.updateMany(
+            { family, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+
+    /*
+     * Checks if a user can login, and returns a short lived access token for
+     * authenticating certain endpoints along with a refresh token for getting new
+     * access tokens. Failed logins are limited per IP address and per account.
+     *
+     * Body: A JSON object with the user credentials
+     *  Example:
+     *  {
+     *      email: <email>,
+     *      password: <password>
+     *  }
+     *
+     * @returns {json} an object with token and refreshToken keys
+     */
+    router.post(
+        "/auth/login",
+        asyncHandler(async (req, res) => {
+            const password = String(req.body.password || "");
+            const email = normalizeEmail(req.body.email);
+
+            let retryAfter = await loginLimiter.check(req.ip, email);
+            if (retryAfter) {
+                res.set("Retry-After", String(retryAfter));
+                throw new ApiError(
+                    HttpStatus.TOO_MANY_REQUESTS,
+                    "too_many_logins",
+                    "Too many failed logins, try again later"
+                );
+            }
+
+            let user = await users.findOne({ email });
+            let match = await bcrypt.compare(
+                password,
+                user ? user.passwordHash : dummyPasswordHash
+            );
+            if (!user || !match) {
+                await loginLimiter.fail(req.ip, email);
+                throw unauthorized(
+                    "Credentials are incorrect",
+                    "invalid_credentials"
+                );
+            }
+
+            await loginLimiter.succeed(email);
+            let tokens = await issueTokens(user);
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully logged in",
+                ...tokens,
+                user: {
+                    email: user.email,
+                    name: user.name,
+                    role: roleOf(user),
+                },
+            });
+        })
+    );
+
+    /*
+     * Exchanges a refresh token for a new access token and refresh token. Each
+     * refresh token can only be used once. Using one again means it was stolen, so
+     * every token from the same login is revoked.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      refreshToken: <refresh token>
+     *  }
+     *
+     * @returns {json} an object with token and refreshToken keys
+     */
+    router.post(
+        "/auth/refresh",
+        asyncHandler(async (req, res) => {
+            let hash = hashToken(req.body.refreshToken || "");
+            let { value } = await refreshTokens.findOneAndUpdate(
+                { _id: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+                { $set: { revokedAt: new Date() } }
+            );
+            if (value == null) {
+                let reused = await refreshTokens.findOne({ _id: hash });
+                if (reused && reused.revokedAt) {
+                    await revokeFamily(reused.family);
+                }
+                throw unauthorized();
+            }
+
+            let user = await users.findOne({ email: value.email });
+            if (user == null) {
+                throw unauthorized();
+            }
+
+            let tokens = await issueTokens(user, value.family);
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully refreshed session",
+                ...tokens,
+                user: {
+                    email: user.email,
+                    name: user.name,
+                    role: roleOf(user),
+                },
+            });
+        })
+    );
+
+    /*
+     * Logs out by revoking a refresh token, along with every other token from the
+     * same login. Logged in users can also log out of every session at once.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      refreshToken: <refresh token>,
+     *      all: <true to log out everywhere, which needs the token header> (optional)
+     *  }
+     *
+     * @returns {json} a success message
+     */
+    router.post(
+        "/auth/logout",
+        (req, res, next) =>
+            req.body.all === true ? auth(req, res, next) : next(),
+        asyncHandler(async (req, res) => {
+            if (req.user) {
+                await revokeAllTokens(req.user.email);
+                return res.status(HttpStatus.OK).json({
+                    msg: "Successfully logged out everywhere",
+                });
+            }
+
+            let token = await refreshTokens.findOne({
+                _id: hashToken(req.body.refreshToken || ""),
+            });
+            if (token != null) {
+                await revokeFamily(token.family);
+            }
+
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully logged out",
+            });
+        })
+    );
+
+    /*
+     * Verifies a session. Use /auth/refresh to get a new access token.
+     *
+     * @returns {json} the logged in user
+     */
+    router.get("/auth/session", auth, (req, res) => {
+        return res.status(HttpStatus.OK).json({
+            msg: "Valid Session",
+            user: req.user,
+        });
+    });
+
+    /*
+     * Gets a short lived token for loading private image files, for places that can't
+     * send the token header, like <img> tags. Add it to file URLs as ?token=. It lasts
+     * FILE_TOKEN_TTL, 1h by default, and can't be used for anything else.
+     *
+     * @returns {json} the file token
+     */
+    router.get("/auth/file-token", auth, (req, res) => {
+        return res.status(HttpStatus.OK).json({
+            msg: "Add the token to file URLs as ?token=",
+            token: signFileToken(req.user),
+        });
+    });
+
+    return router;
+};
+
+module.exports = { createAuthRouter };
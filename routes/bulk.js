@@ -0,0 +1,422 @@
+const path = require("path");
+const express = require("express");
+const HttpStatus = require("http-status-codes");
+const { storedFileName } = require("../lib/images");
+const { MAX_TAGS } = require("../lib/schema");
+const { normalizeTag } = require("../lib/tags");
+const { writeArchive } = require("../lib/archive");
+const { canModify, ownerFilter } = require("../lib/auth");
+const { badRequest, asyncHandler } = require("../lib/errors");
+
+// The most images a single bulk operation can change or download
+const MAX_BULK_IMAGES = parseInt(process.env.MAX_BULK_IMAGES) || 1000;
+
+/*
+ * Splits the images of a bulk operation into the ones a user can change, and a
+ * failed result for each of the others
+ */
+const modifiableImages = (user, found) => {
+    return {
+        allowed: found.filter((image) => canModify(user, image)),
+        forbidden: found
+            .filter((image) => !canModify(user, image))
+            .map((image) => ({
+                _id: image._id,
+                ok: false,
+                status: HttpStatus.FORBIDDEN,
+                msg: "You can only change your own images",
+            })),
+    };
+};
+
+/*
+ * Sends the report of a bulk operation, with a result for each image
+ */
+const bulkReport = (res, action, results) => {
+    const failed = results.filter((result) => !result.ok).length;
+    return res.status(HttpStatus.OK).json({
+        msg: `${action} ${results.length - failed} of ${results.length} images`,
+        succeeded: results.length - failed,
+        failed,
+        results,
+    });
+};
+
+/*
+ * Creates the routes for changing, deleting and downloading many images at once
+ */
+const createBulkRouter = ({
+    images,
+    tags,
+    storage,
+    auth,
+    editorOnly,
+    checkImage,
+    buildImageFilter,
+    removeFromAlbums,
+    recordImageChanges,
+    trashImage,
+}) => {
+    const router = express.Router();
+
+    /*
+     * Records the changes a bulk operation made to images, by comparing them with
+     * how they are now
+     */
+    const recordBulkChanges = async (user, action, changed) => {
+        const after = await images
+            .find({ _id: { $in: changed.map((image) => image._id) } })
+            .toArray();
+        const byId = new Map(after.map((image) => [image._id, image]));
+        await recordImageChanges(
+            user,
+            action,
+            changed.map((image) => ({
+                before: image,
+                after: byId.get(image._id) || null,
+            }))
+        );
+    };
+
+    /*
+     * Finds the images a bulk operation is for, either from a list of ids or from a
+     * filter that takes the same parameters as GET /api/v1/image/db
+     *
+     * @returns {Promise<object>} the images that were found, and a failed result
+     *  for each id that wasn't found
+     * @throws {ApiError} a bad request error if neither ids or a filter are given, or
+     *  there are too many images
+     */
+    const selectImages = async (body, user) => {
+        if (Array.isArray(body.ids)) {
+            const ids = [...new Set(body.ids)];
+            if (
+                !ids.length ||
+                ids.length > MAX_BULK_IMAGES ||
+                ids.some((id) => typeof id !== "string")
+            ) {
+                throw badRequest(
+                    "ids must be a list of 1 to " +
+                        MAX_BULK_IMAGES +
+                        " image ids",
+                    "invalid_selection"
+                );
+            }
+
+            const found = await images.find({ _id: { $in: ids } }).toArray();
+            const byId = new Map(found.map((image) => [image._id, image]));
+            return {
+                found: ids.map((id) => byId.get(id)).filter((image) => image),
+                notFound: ids
+                    .filter((id) => !byId.has(id))
+                    .map((_id) => ({
+                        _id,
+                        ok: false,
+                        status: HttpStatus.NOT_FOUND,
+                        msg: "Image not found",
+                    })),
+            };
+        }
+
+        if (body.filter && typeof body.filter === "object") {
+            const filter = await buildImageFilter(body.filter, user);
+            const found = await images
+                .find(filter, { limit: MAX_BULK_IMAGES + 1 })
+                .toArray();
+            if (found.length > MAX_BULK_IMAGES) {
+                throw badRequest(
+                    "filter matches more than " +
+                        MAX_BULK_IMAGES +
+                        " images, narrow it down",
+                    "invalid_selection"
+                );
+            }
+
+            return { found, notFound: [] };
+        }
+
+        throw badRequest("ids or filter is required", "invalid_selection");
+    };
+
+    /*
+     * Adds tags to and removes tags from many images. Editors can only change their
+     * own images. Images that would end up with more than 100 tags are left as they
+     * are.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      ids: <array of image ids>, or
+     *      filter: <search, tags, takenAfter, takenBefore, camera and bbox, like the
+     *          query parameters of GET /api/v1/image/db>,
+     *      add: <array of tags from the tags collection to add> (optional),
+     *      remove: <array of tags to remove> (optional)
+     *  }
+     *
+     * @returns {json} how many images were changed, and a result for each image
+     */
+    router.post(
+        "/image/bulk/tags",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let { add = [], remove = [] } = req.body;
+            if (
+                !Array.isArray(add) ||
+                !Array.isArray(remove) ||
+                [...add, ...remove].some((tag) => typeof tag !== "string") ||
+                !(add.length || remove.length)
+            ) {
+                throw badRequest("add or remove must be a list of tags");
+            }
+
+            add = add.map(normalizeTag);
+            remove = remove.map(normalizeTag);
+            if (add.some((tag) => remove.includes(tag))) {
+                throw badRequest("A tag can't be both added and removed");
+            }
+
+            let existing = await tags.find({ tag: { $in: add } }).toArray();
+            let missing = add.filter(
+                (tag) => !existing.some((doc) => doc.tag === tag)
+            );
+            if (missing.length) {
+                throw badRequest(
+                    "Tags not found - " + missing.join(", "),
+                    "tag_not_found"
+                );
+            }
+
+            let { found, notFound } = await selectImages(req.body, req.user);
+            let { allowed, forbidden } = modifiableImages(req.user, found);
+
+            // Images that would have too many tags are left as they are
+            let tooMany = allowed.filter(
+                (image) =>
+                    new Set([
+                        ...(image.tags || []).filter(
+                            (tag) => !remove.includes(tag)
+                        ),
+                        ...add,
+                    ]).size > MAX_TAGS
+            );
+            allowed = allowed.filter((image) => !tooMany.includes(image));
+            let ids = allowed.map((image) => image._id);
+
+            // A tag can't be added and removed in the same update, so the version
+            // is only bumped by the first one
+            let changes = [];
+            if (remove.length) {
+                changes.push({ $pull: { tags: { $in: remove } } });
+            }
+            if (add.length) {
+                changes.push({ $addToSet: { tags: { $each: add } } });
+            }
+            Object.assign(changes[0], {
+                $set: { updatedAt: new Date() },
+                $inc: { version: 1 },
+            });
+            for (let change of changes) {
+                await images.updateMany({ _id: { $in: ids } }, change);
+            }
+            await recordBulkChanges(req.user, "image.tag", allowed);
+
+            return bulkReport(res, "Tagged", [
+                ...ids.map((_id) => ({ _id, ok: true })),
+                ...tooMany.map(({ _id }) => ({
+                    _id,
+                    ok: false,
+                    status: HttpStatus.BAD_REQUEST,
+                    msg: "Images can have at most " + MAX_TAGS + " tags",
+                })),
+                ...forbidden,
+                ...notFound,
+            ]);
+        })
+    );
+
+    /*
+     * Sets the same fields on many images. Only title, description, tags and public
+     * can be set in bulk. Editors can only change their own images.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      ids: <array of image ids>, or
+     *      filter: <filter like the /api/v1/image/bulk/tags endpoint>,
+     *      fields: {
+     *          public: false
+     *      }
+     *  }
+     *
+     * @returns {json} how many images were changed, and a result for each image
+     */
+    router.patch(
+        "/image/bulk",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let fields = await checkImage(req.body.fields || {}, "bulk");
+            let { found, notFound } = await selectImages(req.body, req.user);
+            let { allowed, forbidden } = modifiableImages(req.user, found);
+            let ids = allowed.map((image) => image._id);
+            await images.updateMany(
+                { _id: { $in: ids } },
+                {
+                    $set: { ...fields, updatedAt: new Date() },
+                    $inc: { version: 1 },
+                }
+            );
+            await recordBulkChanges(req.user, "image.update", allowed);
+
+            return bulkReport(res, "Updated", [
+                ...ids.map((_id) => ({ _id, ok: true })),
+                ...forbidden,
+                ...notFound,
+            ]);
+        })
+    );
+
+    /*
+     * Deletes many images, moving them to the trash along with their files and
+     * renditions, and removes them from every album. Editors can only delete their own
+     * images.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      ids: <array of image ids>, or
+     *      filter: <filter like the /api/v1/image/bulk/tags endpoint>
+     *  }
+     *
+     * @returns {json} how many images were deleted, and a result for each image
+     */
+    router.delete(
+        "/image/bulk",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let { found, notFound } = await selectImages(req.body, req.user);
+            let { allowed, forbidden } = modifiableImages(req.user, found);
+
+            let results = [];
+            let deleted = [];
+            for (let { _id } of allowed) {
+                try {
+                    let item = await trashImage(
+                        { _id, ...ownerFilter(req.user) },
+                        req.user
+                    );
+                    if (item == null) {
+                        results.push({
+                            _id,
+                            ok: false,
+                            status: HttpStatus.NOT_FOUND,
+                            msg: "Image not found",
+                        });
+                        continue;
+                    }
+
+                    deleted.push(item.image);
+                    results.push({ _id, ok: true });
+                } catch (err) {
+                    console.error(
+                        "Could not delete image " + _id + " - " + err
+                    );
+                    results.push({
+                        _id,
+                        ok: false,
+                        status: HttpStatus.INTERNAL_SERVER_ERROR,
+                        msg: "Internal Server Error",
+                    });
+                }
+            }
+
+            if (deleted.length) {
+                await removeFromAlbums(deleted.map((image) => image._id));
+            }
+            await recordImageChanges(
+                req.user,
+                "image.delete",
+                deleted.map((image) => ({ before: image, after: null }))
+            );
+
+            return bulkReport(res, "Deleted", [
+                ...results,
+                ...forbidden,
+                ...notFound,
+            ]);
+        })
+    );
+
+    /*
+     * Downloads the original files of many images as a ZIP archive. The archive has
+     * a manifest.json with the documents of the images, and where each of their
+     * files is in the archive. Files that couldn't be found, and the ids of images
+     * that have no file, are listed as missingFiles.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      ids: <array of image ids>, or
+     *      filter: <filter like the /api/v1/image/bulk/tags endpoint>
+     *  }
+     *
+     * @returns {zip} the archive, or a json error
+     */
+    router.post(
+        "/image/bulk/download",
+        auth,
+        asyncHandler(async (req, res) => {
+            let selected = await selectImages(req.body, req.user);
+            let files = selected.found.map((image) => {
+                let key = storedFileName(image);
+                let name = image.originalName || key;
+                return key
+                    ? {
+                          key,
+                          name: `images/${image._id}-${path.basename(name)}`,
+                      }
+                    : null;
+            });
+            // Images without a file are listed as missing one, by their id
+            let withoutFile = selected.found
+                .filter((image, i) => !files[i])
+                .map((image) => image._id);
+
+            // Once the archive has started, an error can only cut the response short
+            res.attachment(
+                `images-${new Date().toISOString().slice(0, 10)}.zip`
+            );
+            await writeArchive(
+                res,
+                files.filter((file) => file),
+                storage,
+                (missing) => ({
+                    "manifest.json": JSON.stringify(
+                        {
+                            createdAt: new Date(),
+                            images: selected.found.map((image, i) => ({
+                                ...image,
+                                archivePath:
+                                    !files[i] || missing.includes(files[i].key)
+                                        ? null
+                                        : files[i].name,
+                            })),
+                            missingFiles: [...withoutFile, ...missing],
+                            notFound: selected.notFound.map(
+                                (result) => result._id
+                            ),
+                        },
+                        null,
+                        4
+                    ),
+                })
+            );
+        })
+    );
+
+    return router;
+};
+
+module.exports = { MAX_BULK_IMAGES, createBulkRouter };
@@ -0,0 +1,650 @@
+const path = require("path");
+const express = require("express");
+const HttpStatus = require("http-status-codes");
+const { ObjectId } = require("mongodb");
+const { storeImage, removeImage } = require("../lib/images");
+const { METADATA_FIELDS } = require("../lib/schema");
+const { STRIP_GPS, locationOf, withoutLocation } = require("../lib/metadata");
+const { validateUpload } = require("../lib/upload");
+const { DUPLICATE_THRESHOLD, groupDuplicates } = require("../lib/hash");
+const { parseSearch, isEmptySearch, highlightImage } = require("../lib/search");
+const { ownerFilter } = require("../lib/auth");
+const { publicImageFilter, duplicateProjection } = require("../lib/library");
+const {
+    parseBooleanField,
+    parseListField,
+    parsePage,
+} = require("../lib/fields");
+const {
+    badRequest,
+    notFound,
+    conflict,
+    invalidDocument,
+    isDuplicateKey,
+    asyncHandler,
+} = require("../lib/errors");
+
+/*
+ * Gets the ETag of an image, which is its version. Images from before versions were
+ * tracked are version 0.
+ */
+const imageETag = (image) => `"${image.version || 0}"`;
+
+/*
+ * Reads the version an update expects an image to be at from the If-Match header, so
+ * that concurrent edits don't overwrite each other
+ *
+ * @returns {object} a filter matching that version, which is empty when there is no
+ *  If-Match header or it is *
+ */
+const ifMatchFilter = (req) => {
+    const ifMatch = req.header("If-Match");
+    if (!ifMatch || ifMatch.trim() === "*") {
+        return {};
+    }
+
+    const version = parseInt(ifMatch.replace(/^W\//, "").replace(/"/g, ""));
+    if (isNaN(version)) {
+        return { version: -1 };
+    }
+
+    return { version: version === 0 ? { $in: [0, null] } : version };
+};
+
+/*
+ * Creates the routes for uploading images and reading and writing image documents
+ */
+const createImagesRouter = ({
+    images,
+    uploads,
+    revisions,
+    storage,
+    transformCacheDir,
+    duplicatePolicy,
+    fileUrl,
+    withUrls,
+    auth,
+    optionalAuth,
+    editorOnly,
+    checkImage,
+    imageNotUpdated,
+    checkDuplicates,
+    buildImageFilter,
+    removeFromAlbums,
+    recordImageChanges,
+    trashImage,
+}) => {
+    const router = express.Router();
+
+    /*
+     * Updates an image, if the user can change it and it's at the version in the
+     * If-Match header, and records the change
+     *
+     * @returns {Promise<object>} the updated image
+     * @throws {ApiError} if the image couldn't be updated, see imageNotUpdated
+     */
+    const updateImage = async (req, _id, update, action) => {
+        const { value: before } = await images.findOneAndUpdate(
+            { _id, ...ownerFilter(req.user), ...ifMatchFilter(req) },
+            update
+        );
+        if (before == null) {
+            throw await imageNotUpdated(req.user, _id);
+        }
+
+        const after = await images.findOne({ _id });
+        if (after == null) {
+            throw notFound("Image not found");
+        }
+
+        await recordImageChanges(req.user, action, [{ before, after }]);
+        return after;
+    };
+
+    /*
+     * Creates an image in a single request, by uploading it to storage and inserting
+     * its document into the images collection. If the document can't be inserted,
+     * the uploaded file is removed again. The image is checked like in the
+     * /api/v1/image/storage endpoint, and is owned by the user who uploaded it.
+     *
+     * Form Data:
+     *  image => the image file to upload
+     *  title => title of the image, up to 200 characters
+     *  description => description of the image, up to 5000 characters
+     *  tags => tags from the tags collection, either repeated, as a JSON array or
+     *      comma separated
+     *  public => false to only show the image to logged in users and share links.
+     *      Defaults to true
+     *  stripGps => true to remove the metadata, including GPS position, from the
+     *      served file. Defaults to the STRIP_GPS environment variable.
+     *  onDuplicate => warn or reject, for when the image is a duplicate of one
+     *      already in the library. Defaults to the DUPLICATE_POLICY environment
+     *      variable, or warn
+     *
+     * @returns {json} the inserted image document, along with any duplicates of it when
+     *  warning about them
+     */
+    router.post(
+        "/image",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            if (!req.files || !req.files.image) {
+                throw badRequest("No files uploaded", "no_file");
+            }
+
+            let metadata = { title: req.body.title };
+            if (req.body.description !== undefined) {
+                metadata.description = req.body.description;
+            }
+            if (req.body.tags !== undefined) {
+                metadata.tags = parseListField(req.body.tags);
+            }
+            if (req.body.public !== undefined) {
+                metadata.public = parseBooleanField(req.body.public, true);
+            }
+
+            let image = await checkImage(metadata, "upload");
+            let { type } = await validateUpload(req.files.image);
+            let { hashes, duplicates, rejected } = await checkDuplicates(
+                req.files.image.data,
+                req.body.onDuplicate || duplicatePolicy
+            );
+            if (rejected) {
+                throw conflict(
+                    "Image is a duplicate of an existing image",
+                    "duplicate_image",
+                    { duplicates }
+                );
+            }
+
+            let stored = await storeImage(
+                req.files.image,
+                storage,
+                transformCacheDir,
+                {
+                    type,
+                    stripGps: parseBooleanField(req.body.stripGps, STRIP_GPS),
+                }
+            );
+            try {
+                let now = new Date();
+                image = {
+                    _id: new ObjectId().toHexString(),
+                    description: "",
+                    tags: [],
+                    public: true,
+                    ...image,
+                    ownerEmail: req.user.email,
+                    filePath: fileUrl(stored.fileName),
+                    fileName: stored.fileName,
+                    originalName: stored.originalName,
+                    width: stored.width,
+                    height: stored.height,
+                    renditions: withUrls(stored.renditions),
+                    exif: stored.exif,
+                    ...hashes,
+                    version: 1,
+                    createdAt: now,
+                    updatedAt: now,
+                };
+
+                let location = locationOf(stored.exif);
+                if (location) {
+                    image.location = location;
+                }
+
+                await images.insertOne(image);
+            } catch (err) {
+                // Don't leave the file behind without a document
+                removeImage(
+                    stored.fileName,
+                    stored.renditions,
+                    storage,
+                    transformCacheDir
+                ).catch((err) => console.error(err));
+                throw err;
+            }
+
+            await recordImageChanges(req.user, "image.create", [
+                { before: null, after: image },
+            ]);
+            return res
+                .status(HttpStatus.CREATED)
+                .json(duplicates.length ? { ...image, duplicates } : image);
+        })
+    );
+
+    /*
+     * Lists groups of images in the library that are likely duplicates of each other,
+     * either because their files are identical or they look the same
+     *
+     * Query Parameters:
+     *  threshold => how many of the 64 bits of the perceptual hashes can differ, from
+     *      0 (identical looking) to 64. Defaults to the DUPLICATE_THRESHOLD
+     *      environment variable, or 10
+     *
+     * @returns {json} a list of groups, each a list of images
+     */
+    router.get(
+        "/image/duplicates",
+        auth,
+        asyncHandler(async (req, res) => {
+            let threshold = parseInt(req.query.threshold);
+            if (isNaN(threshold) || threshold < 0 || threshold > 64) {
+                threshold = DUPLICATE_THRESHOLD;
+            }
+
+            let result = await images
+                .find(
+                    {
+                        $or: [
+                            { contentHash: { $exists: true } },
+                            { perceptualHash: { $exists: true } },
+                        ],
+                    },
+                    { projection: duplicateProjection }
+                )
+                .toArray();
+            return res
+                .status(HttpStatus.OK)
+                .json(groupDuplicates(result, threshold));
+        })
+    );
+
+    /*
+     * Get number of pages in images collection based on pageSize and search query
+     *
+     * Query Parameters:
+     *  pageSize => size of querying page. Default 15, like the /api/v1/image/db endpoint
+     *  search => search query, like the /api/v1/image/db endpoint
+     *  tags => array of tags as a query, including their child tags
+     *  takenAfter, takenBefore, camera, bbox => filters like the /api/v1/image/db
+     *      endpoint
+     */
+    router.get(
+        "/image/db/pages",
+        optionalAuth,
+        asyncHandler(async (req, res) => {
+            let filter = await buildImageFilter(req.query, req.user);
+            let count = await images.countDocuments(filter);
+            let { limit } = parsePage(req.query);
+            return res.status(HttpStatus.OK).json(Math.ceil(count / limit));
+        })
+    );
+
+    /*
+     * Gets an image, or many images, depending on what is being passed in.
+     * If an id is passed in, just one with that ID will be returned.
+     * If no id is passed in, then it will return many, defaulting pageSize to 15 and pageNum to 1
+     * Private images, and the GPS positions of images, are only returned to logged in
+     * users.
+     *
+     * Header: token - A JWT token signed from this server (optional)
+     *
+     * Query Parameters:
+     *  id => id of single image
+     *
+     *  pageSize => size of page, up to 100
+     *  pageNum => specific page number
+     *  search => a query string for searching titles, descriptions and tags. Supports
+     *      "quoted phrases" and prefix* terms. Results are sorted by relevance.
+     *  tags => an array of tags to query, including their child tags
+     *  takenAfter => only images captured on or after this date
+     *  takenBefore => only images captured on or before this date
+     *  camera => only images from a camera whose make or model contains this
+     *  bbox => only images taken inside a box, as minLongitude,minLatitude,
+     *      maxLongitude,maxLatitude. Only for logged in users.
+     *
+     * @returns {json} sends a json array for many objects and just one object for a single id query.
+     *  When searching, each image has a score and highlights, with the matching parts
+     *  of its title, description and tags wrapped in <mark> tags.
+     *  A single image's ETag header can be used with If-Match when updating it.
+     */
+    router.get(
+        "/image/db",
+        optionalAuth,
+        asyncHandler(async (req, res) => {
+            if (req.query.id) {
+                let result = await images.findOne({
+                    _id: req.query.id,
+                    ...(req.user ? {} : publicImageFilter),
+                });
+                if (result == null) {
+                    throw notFound("Image not found");
+                }
+
+                res.set("ETag", imageETag(result));
+                return res
+                    .status(HttpStatus.OK)
+                    .json(req.user ? result : withoutLocation(result));
+            }
+
+            let search = parseSearch(req.query.search);
+            let filter = await buildImageFilter(req.query, req.user);
+            let options = parsePage(req.query);
+            if (filter.$text) {
+                options.projection = { score: { $meta: "textScore" } };
+                options.sort = { score: { $meta: "textScore" } };
+            }
+
+            let result = await images.find(filter, options).toArray();
+            if (!req.user) {
+                result = result.map(withoutLocation);
+            }
+            if (!isEmptySearch(search)) {
+                result = result.map((image) => ({
+                    ...image,
+                    highlights: highlightImage(image, search),
+                }));
+            }
+
+            return res.status(HttpStatus.OK).json(result);
+        })
+    );
+
+    /*
+     * Inserts a new image into the database. This operation should be done after
+     * an image has been posted to the storage container, and a URL is returned. That
+     * way, a URL can be passed into this function. The fields about the file, like its
+     * renditions and EXIF metadata, are filled in from the upload, which has to be
+     * one of the user's own that no image uses yet.
+     *
+     * Body: a document to be inserted into the images collection. createdAt and
+     * updatedAt are set by the server, and an _id is generated if one isn't given.
+     *  Example:
+     *  {
+     *      _id: <unique-id> (optional),
+     *      description: <description of image, up to 5000 characters>,
+     *      fileName: <fileName returned from /api/v1/image/storage endpoint>, or
+     *      filePath: <URL returned from /api/v1/image/storage endpoint>,
+     *      tags: <array of tag strings from tags collection>,
+     *      title: <title of image, up to 200 characters>,
+     *      public: <false to hide the image from people who aren't logged in> (optional)
+     *  }
+     *
+     * @returns {json} a message whether or not the operation was successful or not
+     */
+    router.post(
+        "/image/db",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let fileName = path.basename(
+                String(req.body.fileName || req.body.filePath || "")
+            );
+            let image = await checkImage(req.body, "create");
+
+            // Claiming the upload means only one image can use its file
+            let { value: upload } = await uploads.findOneAndDelete({
+                _id: fileName,
+                ...ownerFilter(req.user),
+            });
+            if (upload != null && !(await storage.exists(fileName))) {
+                // The file has been deleted since, so the upload can't be used
+                await uploads.insertOne(upload);
+                upload = null;
+            }
+            if (upload == null) {
+                throw invalidDocument("Image", [
+                    {
+                        field: "fileName",
+                        msg: "must be a file you uploaded that no image uses",
+                    },
+                ]);
+            }
+
+            let now = new Date();
+            let { _id, ownerEmail, createdAt, ...file } = upload;
+            image = {
+                _id: new ObjectId().toHexString(),
+                public: true,
+                ...image,
+                ...file,
+                filePath: fileUrl(upload.fileName),
+                renditions: withUrls(upload.renditions),
+                ownerEmail: req.user.email,
+                version: 1,
+                createdAt: now,
+                updatedAt: now,
+            };
+            let location = locationOf(image.exif);
+            if (location) {
+                image.location = location;
+            }
+
+            try {
+                await images.insertOne(image);
+            } catch (err) {
+                // Give the upload back, so it can be used by another image
+                await uploads.insertOne(upload);
+                if (isDuplicateKey(err)) {
+                    throw conflict(
+                        "Record Already Exists at id=" + image._id,
+                        "image_exists"
+                    );
+                }
+                throw err;
+            }
+
+            await recordImageChanges(req.user, "image.create", [
+                { before: null, after: image },
+            ]);
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully added image _id=" + image._id,
+            });
+        })
+    );
+
+    /*
+     * Updates an image in the database. Its title, description and tags are replaced,
+     * so the ones left out of the body are removed from the image, and public is kept
+     * as it was if it's left out. The fields about the image's file can't be changed.
+     * Editors can only update their own images.
+     *
+     * Header: If-Match - the ETag of the image being edited (optional)
+     *
+     * Body: a document to be updated in the images collection.
+     *  Example:
+     *  {
+     *      _id: <unique-id of an existing image>,
+     *      description: <description of image, up to 5000 characters>,
+     *      tags: <array of tag strings from tags collection>,
+     *      title: <title of image, up to 200 characters>,
+     *      public: <whether people who aren't logged in can see the image> (optional)
+     *  }
+     *
+     * @returns {json} a message whether or not the operation was successful or not
+     */
+    router.put(
+        "/image/db",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let { _id, ...image } = await checkImage(req.body, "update");
+            let fields = METADATA_FIELDS.filter((field) => field in image);
+            let update = {
+                $set: {
+                    ...Object.fromEntries(
+                        fields.map((field) => [field, image[field]])
+                    ),
+                    updatedAt: new Date(),
+                },
+                $inc: { version: 1 },
+            };
+            let removed = METADATA_FIELDS.filter(
+                (field) => field !== "public" && !fields.includes(field)
+            );
+            if (removed.length) {
+                update.$unset = Object.fromEntries(
+                    removed.map((field) => [field, ""])
+                );
+            }
+
+            let value = await updateImage(req, _id, update, "image.update");
+            res.set("ETag", imageETag(value));
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully updated image _id=" + _id,
+            });
+        })
+    );
+
+    /*
+     * Updates only the given fields of an image in the database. Send the image's
+     * ETag (from fetching it) in the If-Match header to make sure nobody else has
+     * changed it in the meantime. Editors can only update their own images.
+     *
+     * Header: If-Match - the ETag of the image being edited (optional)
+     *
+     * Body: the _id of the image, and the fields to change.
+     *  Example:
+     *  {
+     *      _id: <unique-id of an existing image>,
+     *      title: <new title of image>
+     *  }
+     *
+     * @returns {json} the updated image, with its new ETag in the ETag header
+     */
+    router.patch(
+        "/image/db",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let { _id, ...fields } = await checkImage(req.body, "patch");
+            if (!Object.keys(fields).length) {
+                throw badRequest("No fields to update");
+            }
+
+            let update = {
+                $set: { ...fields, updatedAt: new Date() },
+                $inc: { version: 1 },
+            };
+
+            let value = await updateImage(req, _id, update, "image.update");
+            res.set("ETag", imageETag(value));
+            return res.status(HttpStatus.OK).json(value);
+        })
+    );
+
+    /*
+     * Deletes an image in the database, moving it to the trash along with its file and
+     * renditions, and removes it from every album. It can be restored from the trash
+     * until it's purged. Editors can only delete their own images.
+     *
+     * Body: a document to be deleted from the images collection.
+     *  Example:
+     *  {
+     *      _id: <unique-id>
+     *  }
+     *
+     * @returns {json} a message whether or not the operation was successful or not
+     */
+    router.delete(
+        "/image/db",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let item = await trashImage(
+                { _id: req.body._id, ...ownerFilter(req.user) },
+                req.user
+            );
+            if (item == null) {
+                throw await imageNotUpdated(req.user, req.body._id);
+            }
+
+            let value = item.image;
+            await removeFromAlbums([value._id]);
+            await recordImageChanges(req.user, "image.delete", [
+                { before: value, after: null },
+            ]);
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully moved image _id=" + value._id + " to trash",
+            });
+        })
+    );
+
+    /*
+     * Gets the revisions of an image's metadata, newest first. A revision is kept
+     * each time the image is changed, along with who changed it.
+     *
+     * Query Parameters:
+     *  id => id of the image
+     *
+     * @returns {json} a list of revisions, each with the version of the image and its
+     *  title, description, tags and public fields at that version
+     */
+    router.get(
+        "/image/revisions",
+        auth,
+        asyncHandler(async (req, res) => {
+            if (!req.query.id) {
+                throw badRequest("id is required", "invalid_query");
+            }
+
+            let result = await revisions
+                .find({ imageId: req.query.id }, { sort: { version: -1 } })
+                .toArray();
+            return res.status(HttpStatus.OK).json(result);
+        })
+    );
+
+    /*
+     * Restores the metadata of an image to an earlier revision. The file of the image
+     * isn't changed, and the restore is itself a new revision. Editors can only
+     * restore their own images.
+     *
+     * Header: If-Match - the ETag of the image being restored (optional)
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      _id: <id of the image>,
+     *      version: <version of the revision to restore, as a number>
+     *  }
+     *
+     * @returns {json} the restored image, with its new ETag in the ETag header
+     */
+    router.post(
+        "/image/revisions/restore",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let { _id, version } = req.body;
+            if (typeof _id !== "string" || !_id) {
+                throw badRequest("_id is required");
+            }
+            if (!Number.isInteger(version) || version < 0) {
+                throw badRequest(
+                    "version must be the version number of a revision",
+                    "invalid_version"
+                );
+            }
+
+            let revision = await revisions.findOne({ imageId: _id, version });
+            if (revision == null) {
+                throw notFound("Revision not found");
+            }
+
+            // Tags may have been deleted since, so the revision is checked again
+            let fields = await checkImage(revision.fields, "bulk");
+            let removed = METADATA_FIELDS.filter((field) => !(field in fields));
+            let update = {
+                $set: { ...fields, updatedAt: new Date() },
+                $inc: { version: 1 },
+            };
+            if (removed.length) {
+                update.$unset = Object.fromEntries(
+                    removed.map((field) => [field, ""])
+                );
+            }
+
+            let value = await updateImage(req, _id, update, "image.restore");
+            res.set("ETag", imageETag(value));
+            return res.status(HttpStatus.OK).json(value);
+        })
+    );
+
+    return router;
+};
+
+module.exports = { createImagesRouter };
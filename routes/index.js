@@ -0,0 +1,69 @@
+const express = require("express");
+const HttpStatus = require("http-status-codes");
+const packageConfig = require("../package.json");
+const { buildOpenApi } = require("../lib/openapi");
+const { notFoundHandler } = require("../lib/errors");
+const { createAuthRouter } = require("./auth");
+const { createUsersRouter } = require("./users");
+const { createImagesRouter } = require("./images");
+const { createBulkRouter } = require("./bulk");
+const { createStorageRouter } = require("./storage");
+const { createAdminRouter } = require("./admin");
+const { createTagsRouter } = require("./tags");
+const { createAlbumsRouter } = require("./albums");
+const { createSharesRouter } = require("./shares");
+const { createAuditRouter } = require("./audit");
+const { createTrashRouter } = require("./trash");
+const { createWebhooksRouter } = require("./webhooks");
+
+/*
+ * Creates the API router, with every group of routes. Requests that don't match a
+ * route get a 404 in the same shape as every other error.
+ *
+ * @param {object} context - the collections, storage, settings, middleware and
+ *  helpers that the routes share
+ */
+const createApiRouter = (context) => {
+    const router = express.Router();
+    const openApi = buildOpenApi({
+        version: packageConfig.version,
+        baseUrl: `${context.hostname}/api/v1`,
+    });
+
+    /*
+     * A simple API Health Check
+     */
+    router.get("/", (req, res) => {
+        return res.status(HttpStatus.OK).json({
+            msg: "OK",
+            service: "Image Database API Server",
+        });
+    });
+
+    /*
+     * Gets the OpenAPI document that describes every endpoint, for generating clients
+     *
+     * @returns {json} the OpenAPI 3.1 document
+     */
+    router.get("/openapi.json", (req, res) => {
+        return res.status(HttpStatus.OK).json(openApi);
+    });
+
+    router.use(createAuthRouter(context));
+    router.use(createUsersRouter(context));
+    router.use(createImagesRouter(context));
+    router.use(createBulkRouter(context));
+    router.use(createStorageRouter(context));
+    router.use(createAdminRouter(context));
+    router.use(createTagsRouter(context));
+    router.use(createAlbumsRouter(context));
+    router.use(createSharesRouter(context));
+    router.use(createAuditRouter(context));
+    router.use(createTrashRouter(context));
+    router.use(createWebhooksRouter(context));
+    router.use(notFoundHandler);
+
+    return router;
+};
+
+module.exports = { createApiRouter };
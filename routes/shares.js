@@ -0,0 +1,274 @@
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const HttpStatus = require("http-status-codes");
+const { ObjectId } = require("mongodb");
+const { canModify } = require("../lib/auth");
+const { withoutLocation } = require("../lib/metadata");
+const { sharedAlbumFilter } = require("../lib/library");
+const {
+    badRequest,
+    forbidden,
+    notFound,
+    asyncHandler,
+} = require("../lib/errors");
+
+// How long share links last when no expiry is given, and the longest they can last
+const DEFAULT_SHARE_SECONDS = 7 * 24 * 60 * 60;
+const MAX_SHARE_SECONDS = 365 * 24 * 60 * 60;
+
+/*
+ * Adds a share token to the file URLs of an image, so that private images can be
+ * loaded through a share link. The GPS position and owner of the image are left out.
+ */
+const withShareToken = (image, token) => {
+    const addToken = (url) => url && `${url}?share=${token}`;
+    const { ownerEmail, ...shared } = withoutLocation(image);
+    return {
+        ...shared,
+        filePath: addToken(image.filePath),
+        renditions: (image.renditions || []).map((rendition) => ({
+            ...rendition,
+            url: addToken(rendition.url),
+        })),
+    };
+};
+
+/*
+ * Creates the routes for making, listing and opening share links
+ */
+const createSharesRouter = ({
+    images,
+    albums,
+    shares,
+    hostname,
+    sessionSecret,
+    auth,
+    editorOnly,
+    findShare,
+}) => {
+    const router = express.Router();
+
+    /*
+     * Signs the token of a share link. The token only holds the share's id, so that
+     * revoking the share in the shares collection revokes the link.
+     */
+    const signShareToken = (share) =>
+        jwt.sign(
+            {
+                share: share._id,
+                exp: Math.floor(share.expiresAt.getTime() / 1000),
+            },
+            sessionSecret
+        );
+
+    /*
+     * Adds the share link and token to a share document
+     */
+    const withShareLink = (share) => {
+        const token = signShareToken(share);
+        return {
+            ...share,
+            token,
+            url: `${hostname}/api/v1/shared?token=${token}`,
+        };
+    };
+
+    /*
+     * Creates a share link that gives anyone with it read access to one image or
+     * album, including private ones, until it expires or is revoked. Editors can
+     * only share their own images and albums.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      image: <id of the image to share>, or
+     *      album: <id of the album to share>,
+     *      expiresIn: <seconds until the link expires, defaults to 7 days> (optional)
+     *  }
+     *
+     * @returns {json} the share, with its token and url
+     */
+    router.post(
+        "/shares",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let type = req.body.image
+                ? "image"
+                : req.body.album
+                ? "album"
+                : null;
+            let expiresIn =
+                req.body.expiresIn === undefined
+                    ? DEFAULT_SHARE_SECONDS
+                    : req.body.expiresIn;
+            if (
+                !type ||
+                (req.body.image && req.body.album) ||
+                !Number.isInteger(expiresIn) ||
+                expiresIn < 1 ||
+                expiresIn > MAX_SHARE_SECONDS
+            ) {
+                throw badRequest(
+                    "Either an image or an album is required, and expiresIn must be at most " +
+                        MAX_SHARE_SECONDS +
+                        " seconds"
+                );
+            }
+
+            let target = req.body[type];
+            let collection = type === "image" ? images : albums;
+            let document = await collection.findOne({ _id: target });
+            if (document == null) {
+                throw notFound(type + " not found");
+            }
+
+            if (!canModify(req.user, document)) {
+                throw forbidden("You can only share your own " + type + "s");
+            }
+
+            let now = new Date();
+            let share = {
+                _id: new ObjectId().toHexString(),
+                type,
+                target,
+                createdBy: req.user.email,
+                createdAt: now,
+                expiresAt: new Date(now.getTime() + expiresIn * 1000),
+                revokedAt: null,
+            };
+            await shares.insertOne(share);
+            return res.status(HttpStatus.CREATED).json(withShareLink(share));
+        })
+    );
+
+    /*
+     * Gets the share links that haven't expired. Editors only see the links they
+     * created.
+     *
+     * Query Parameters:
+     *  image => only links for this image (optional)
+     *  album => only links for this album (optional)
+     *
+     * @returns {json} a list of shares, with their tokens and urls
+     */
+    router.get(
+        "/shares",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let filter = { expiresAt: { $gt: new Date() } };
+            if (req.user.role !== "admin") {
+                filter.createdBy = req.user.email;
+            }
+            if (req.query.image) {
+                filter.type = "image";
+                filter.target = req.query.image;
+            } else if (req.query.album) {
+                filter.type = "album";
+                filter.target = req.query.album;
+            }
+
+            let result = await shares
+                .find(filter, { sort: { createdAt: -1 } })
+                .toArray();
+            return res.status(HttpStatus.OK).json(result.map(withShareLink));
+        })
+    );
+
+    /*
+     * Revokes a share link, so it can't be used anymore. Editors can only revoke the
+     * links they created.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      _id: <id of the share>
+     *  }
+     *
+     * @returns {json} a success or error message
+     */
+    router.delete(
+        "/shares",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let filter = { _id: req.body._id, revokedAt: null };
+            if (req.user.role !== "admin") {
+                filter.createdBy = req.user.email;
+            }
+
+            let result = await shares.updateOne(filter, {
+                $set: { revokedAt: new Date() },
+            });
+            if (!result.matchedCount) {
+                throw notFound("Share not found");
+            }
+
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully revoked share _id=" + req.body._id,
+            });
+        })
+    );
+
+    /*
+     * Gets what a share link was made for. The file URLs include the share token, so
+     * private images can be loaded with them. Albums only show their public images and
+     * the private images of the album's owner.
+     *
+     * Query Parameters:
+     *  token => the share token
+     *
+     * @returns {json} the share's type and expiry, along with the image, or the
+     *  album with its images in order as items
+     */
+    router.get(
+        "/shared",
+        asyncHandler(async (req, res) => {
+            let share = await findShare(req.query.token || "");
+            if (share == null) {
+                throw notFound(
+                    "Share link is invalid, expired or revoked",
+                    "invalid_share"
+                );
+            }
+
+            let token = req.query.token;
+            let result = { type: share.type, expiresAt: share.expiresAt };
+            if (share.type === "image") {
+                let image = await images.findOne({ _id: share.target });
+                if (image != null) {
+                    result.image = withShareToken(image, token);
+                }
+            } else {
+                let album = await albums.findOne({ _id: share.target });
+                if (album != null) {
+                    let found = await images
+                        .find(sharedAlbumFilter(album))
+                        .toArray();
+                    let byId = new Map(
+                        found.map((image) => [image._id, image])
+                    );
+                    let { ownerEmail, ...shared } = album;
+                    result.album = {
+                        ...shared,
+                        items: album.images
+                            .map((id) => byId.get(id))
+                            .filter((image) => image)
+                            .map((image) => withShareToken(image, token)),
+                    };
+                }
+            }
+
+            if (!result.image && !result.album) {
+                throw notFound("Shared " + share.type + " was deleted");
+            }
+
+            return res.status(HttpStatus.OK).json(result);
+        })
+    );
+
+    return router;
+};
+
+module.exports = { createSharesRouter };
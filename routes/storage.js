@@ -0,0 +1,311 @@
+const path = require("path");
+const express = require("express");
+const HttpStatus = require("http-status-codes");
+const { storeImage, removeImage } = require("../lib/images");
+const { STRIP_GPS } = require("../lib/metadata");
+const { validateUpload } = require("../lib/upload");
+const {
+    DEFAULT_QUALITY,
+    parseTransform,
+    transformImage,
+} = require("../lib/transform");
+const { canModify } = require("../lib/auth");
+const { isTrashKey } = require("../lib/trash");
+const { parseBooleanField } = require("../lib/fields");
+const {
+    badRequest,
+    forbidden,
+    notFound,
+    conflict,
+    asyncHandler,
+} = require("../lib/errors");
+
+/*
+ * Creates the routes for serving, uploading and deleting stored files
+ */
+const createStorageRouter = ({
+    images,
+    uploads,
+    storage,
+    transformCacheDir,
+    duplicatePolicy,
+    fileUrl,
+    withUrls,
+    auth,
+    fileAuth,
+    editorOnly,
+    checkDuplicates,
+    findShare,
+    sharedImageIds,
+    recordChange,
+    trashFile,
+}) => {
+    const router = express.Router();
+
+    /*
+     * Gets the filter for the images that use a stored file, either as their file or
+     * one of their renditions. Images from before file names were recorded only have
+     * the URL of their file.
+     */
+    const usingFile = (key) => ({
+        $or: [
+            { fileName: key },
+            { "renditions.file": key },
+            { filePath: fileUrl(key) },
+        ],
+    });
+
+    /*
+     * Checks if a request can read a stored file. Only files of private images are
+     * limited, so files without an image document can still be read, like before
+     * they are added with /api/v1/image/db.
+     */
+    const canReadFile = async (req, key) => {
+        if (req.user) {
+            return true;
+        }
+
+        const image = await images.findOne(usingFile(key), {
+            projection: { public: 1 },
+        });
+        if (image == null || image.public !== false) {
+            return true;
+        }
+
+        if (!req.query.share) {
+            return false;
+        }
+
+        const share = await findShare(req.query.share);
+        return (
+            share != null && (await sharedImageIds(share)).includes(image._id)
+        );
+    };
+
+    /*
+     * Serves a stored file, or a resized, cropped or converted version of it when
+     * any transform parameters are given. Depending on the storage driver, the file
+     * is either sent directly or through a redirect to a presigned URL. Files of
+     * private images are only served to logged in users, with a file token for
+     * places like <img> tags that can't send the token header, or with a share token
+     * for the image. Files in the trash are never served. Files served straight from a
+     * public S3_PUBLIC_URL can't be hidden.
+     *
+     * Header: token - A JWT token signed from this server (optional)
+     *
+     * Query Parameters:
+     *  token => a file token from /api/v1/auth/file-token (optional)
+     *  share => a share token from /api/v1/shares (optional)
+     *  w => width, from a fixed list of allowed sizes
+     *  h => height, from a fixed list of allowed sizes
+     *  fit => cover, contain, fill, inside or outside. Default cover
+     *  format => jpeg, png, webp or avif. Default is the original format
+     *  q => quality from 1 to 100, rounded to the nearest 10. Default 80, which is
+     *      the only quality served to anyone who isn't logged in
+     *
+     * @returns the image, or a json error
+     */
+    router.get(
+        "/files/images/*",
+        fileAuth,
+        asyncHandler(async (req, res) => {
+            let key = req.params[0];
+            let options;
+            try {
+                options = parseTransform(req.query);
+            } catch (err) {
+                throw badRequest(
+                    "Invalid Transform - " + err.message,
+                    "invalid_transform"
+                );
+            }
+
+            // Only logged in users can choose the quality, which keeps down how many
+            // versions of a public image anyone can make the server render
+            if (options && !req.user) {
+                options.quality = DEFAULT_QUALITY;
+            }
+
+            if (isTrashKey(key) || !(await canReadFile(req, key))) {
+                throw notFound("Image not found");
+            }
+
+            try {
+                if (!options) {
+                    return await storage.send(res, key);
+                }
+
+                let file = await transformImage(
+                    key,
+                    () => storage.get(key),
+                    options,
+                    transformCacheDir
+                );
+                res.sendFile(file, { maxAge: "30d" });
+            } catch (err) {
+                if (
+                    err.code == "ENOENT" ||
+                    err.status == HttpStatus.NOT_FOUND
+                ) {
+                    throw notFound("Image not found");
+                }
+                throw err;
+            }
+        })
+    );
+
+    /*
+     * Uploads an image to storage, and generates smaller renditions of it (in the
+     * original format and as WebP) for use in list views. The image is stored under
+     * a new random name, and has to be a JPEG, PNG, GIF or WebP image within the
+     * MAX_UPLOAD_BYTES, MAX_IMAGE_DIMENSION and MAX_IMAGE_PIXELS limits.
+     *
+     * Form Data:
+     *  image => the image file to upload
+     *  stripGps => true to remove the metadata, including GPS position, from the
+     *      served file. Defaults to the STRIP_GPS environment variable.
+     *  onDuplicate => warn or reject, for when the image is a duplicate of one
+     *      already in the library. Defaults to the DUPLICATE_POLICY environment
+     *      variable, or warn
+     *
+     * @returns {json} the URL, dimensions, EXIF metadata and hashes of the image, the
+     *  URL and dimensions of each rendition, and any duplicates of the image
+     */
+    router.post(
+        "/image/storage",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            if (!req.files || !req.files.image) {
+                throw badRequest("No files uploaded", "no_file");
+            }
+
+            let { type } = await validateUpload(req.files.image);
+            let { hashes, duplicates, rejected } = await checkDuplicates(
+                req.files.image.data,
+                req.body.onDuplicate || duplicatePolicy
+            );
+            if (rejected) {
+                throw conflict(
+                    "Image is a duplicate of an existing image",
+                    "duplicate_image",
+                    { duplicates }
+                );
+            }
+
+            let {
+                fileName,
+                originalName,
+                width,
+                height,
+                renditions,
+                exif,
+            } = await storeImage(req.files.image, storage, transformCacheDir, {
+                type,
+                stripGps: parseBooleanField(req.body.stripGps, STRIP_GPS),
+            });
+
+            // The upload is kept so that the user who made it can create its image
+            // with /api/v1/image/db, which takes the file fields from here
+            try {
+                await uploads.insertOne({
+                    _id: fileName,
+                    fileName,
+                    originalName,
+                    width,
+                    height,
+                    renditions,
+                    exif,
+                    ...hashes,
+                    ownerEmail: req.user.email,
+                    createdAt: new Date(),
+                });
+            } catch (err) {
+                removeImage(
+                    fileName,
+                    renditions,
+                    storage,
+                    transformCacheDir
+                ).catch((err) => console.error(err));
+                throw err;
+            }
+
+            await recordChange(
+                req.user,
+                "storage.upload",
+                "file",
+                fileName,
+                null,
+                {
+                    fileName,
+                    originalName,
+                    width,
+                    height,
+                    contentHash: hashes.contentHash,
+                }
+            );
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully uploaded file - " + originalName,
+                url: fileUrl(fileName),
+                fileName,
+                originalName,
+                width,
+                height,
+                renditions: withUrls(renditions),
+                exif,
+                ...hashes,
+                duplicates,
+            });
+        })
+    );
+
+    /*
+     * Deletes an image from storage, moving it to the trash where it can be restored
+     * until it's purged. Editors can only delete files that are only used by their own
+     * images, or uploads of their own that no image uses.
+     *
+     * Query Parameters:
+     *  file => the stored file name of the image
+     *
+     * @returns {json} a message whether or not the operation was successful or not
+     */
+    router.delete(
+        "/image/storage",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let file = path.basename(String(req.query.file || ""));
+            let [exists, using, upload] = await Promise.all([
+                storage.exists(file),
+                images.find(usingFile(file)).toArray(),
+                uploads.findOne({ _id: file }),
+            ]);
+            if (!exists) {
+                throw notFound("Image not found");
+            }
+
+            let owners = using.length ? using : upload ? [upload] : [];
+            if (owners.some((owner) => !canModify(req.user, owner))) {
+                throw forbidden("You can only delete your own images");
+            }
+
+            let image = using.length ? using[0] : null;
+            await trashFile(file, image, req.user);
+            await recordChange(
+                req.user,
+                "storage.delete",
+                "file",
+                file,
+                { fileName: file, image: image ? image._id : null },
+                null
+            );
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully moved image to trash - " + file,
+            });
+        })
+    );
+
+    return router;
+};
+
+module.exports = { createStorageRouter };
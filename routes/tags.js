@@ -0,0 +1,398 @@
+const express = require("express");
+const HttpStatus = require("http-status-codes");
+const {
+    normalizeTag,
+    parseTagPath,
+    tagPath,
+    descendantsOf,
+} = require("../lib/tags");
+const {
+    badRequest,
+    notFound,
+    conflict,
+    isDuplicateKey,
+    asyncHandler,
+} = require("../lib/errors");
+
+/*
+ * Creates the routes for reading and organizing tags
+ */
+const createTagsRouter = ({
+    images,
+    tags,
+    auth,
+    editorOnly,
+    adminOnly,
+    revisions,
+    recordChange,
+    recordImageChanges,
+}) => {
+    const router = express.Router();
+
+    /*
+     * Records the changes to the tags of images, by comparing them with how they are
+     * now
+     */
+    const recordTagChanges = async (user, changed) => {
+        const after = await images
+            .find({ _id: { $in: changed.map((image) => image._id) } })
+            .toArray();
+        const byId = new Map(after.map((image) => [image._id, image]));
+        await recordImageChanges(
+            user,
+            "image.update",
+            changed.map((image) => ({
+                before: image,
+                after: byId.get(image._id) || null,
+            }))
+        );
+    };
+
+    /*
+     * Replaces a tag with another one in every image that uses it, keeping its
+     * position in each image's tags. Images that already have the new tag just
+     * have the old one removed. Child tags are moved to the new tag, and the
+     * revisions of images are changed too, so they can still be restored.
+     *
+     * @returns {Promise<number>} the number of images that were updated
+     */
+    const replaceTag = async (user, tag, newTag) => {
+        const changed = await images.find({ tags: tag }).toArray();
+        const now = new Date();
+        await images.updateMany(
+            { $and: [{ tags: tag }, { tags: newTag }] },
+            {
+                $pull: { tags: tag },
+                $set: { updatedAt: now },
+                $inc: { version: 1 },
+            }
+        );
+        await images.updateMany(
+            { tags: tag },
+            { $set: { "tags.$": newTag, updatedAt: now }, $inc: { version: 1 } }
+        );
+        await revisions.updateMany(
+            { $and: [{ "fields.tags": tag }, { "fields.tags": newTag }] },
+            { $pull: { "fields.tags": tag } }
+        );
+        await revisions.updateMany(
+            { "fields.tags": tag },
+            { $set: { "fields.tags.$": newTag } }
+        );
+
+        await tags.updateMany({ parent: tag }, { $set: { parent: newTag } });
+        // A tag can't be its own parent
+        await tags.updateOne(
+            { tag: newTag, parent: newTag },
+            { $set: { parent: null } }
+        );
+        await recordTagChanges(user, changed);
+        return changed.length;
+    };
+
+    /*
+     * Gets all of the tags from the tags collection, along with the number of images
+     * that use each tag and the tag's full path in the hierarchy
+     *
+     * @returns {json} a list of all of the tag documents
+     */
+    router.get(
+        "/tags",
+        asyncHandler(async (_, res) => {
+            let [tagDocuments, counts] = await Promise.all([
+                tags.find().toArray(),
+                images
+                    .aggregate([
+                        { $unwind: "$tags" },
+                        { $group: { _id: "$tags", count: { $sum: 1 } } },
+                    ])
+                    .toArray(),
+            ]);
+
+            let countByTag = new Map(
+                counts.map((count) => [count._id, count.count])
+            );
+            return res.status(HttpStatus.OK).json(
+                tagDocuments.map((doc) => ({
+                    ...doc,
+                    path: tagPath(tagDocuments, doc.tag),
+                    count: countByTag.get(doc.tag) || 0,
+                }))
+            );
+        })
+    );
+
+    /*
+     * Adds a new tag to the tags collection if it isn't already present. Tag names
+     * are trimmed and lowercased. A parent can be given either as a separate field,
+     * or as part of a path like "animals > dog", in which case any missing parents
+     * are created too.
+     *
+     * Body: a tag document, without an _id field (will be handled automatically)
+     *  Example:
+     *  {
+     *      tag: <tag name, or tag path>,
+     *      parent: <name of an existing parent tag> (optional)
+     *  }
+     *
+     * @returns {json} a success or error message
+     */
+    router.post(
+        "/tags",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let tagNames = parseTagPath(req.body.tag || "");
+            if (!tagNames.length) {
+                throw badRequest("tag is required");
+            }
+
+            let tag = tagNames.pop();
+            let parent = tagNames.length
+                ? tagNames[tagNames.length - 1]
+                : req.body.parent
+                ? normalizeTag(req.body.parent)
+                : null;
+
+            if (req.body.parent && !tagNames.length) {
+                if (!(await tags.findOne({ tag: parent }))) {
+                    throw badRequest(
+                        "Parent tag " + parent + " not found",
+                        "tag_not_found"
+                    );
+                }
+            }
+
+            // Create any missing parents from the tag path
+            for (let i = 0; i < tagNames.length; i++) {
+                await tags.updateOne(
+                    { tag: tagNames[i] },
+                    {
+                        $setOnInsert: {
+                            tag: tagNames[i],
+                            parent: i ? tagNames[i - 1] : null,
+                        },
+                    },
+                    { upsert: true }
+                );
+            }
+
+            try {
+                await tags.insertOne({ tag, parent });
+            } catch (err) {
+                if (isDuplicateKey(err)) {
+                    throw conflict(
+                        "Tag " + tag + " already exists",
+                        "tag_exists"
+                    );
+                }
+                throw err;
+            }
+
+            await recordChange(req.user, "tag.create", "tag", tag, null, {
+                tag,
+                parent,
+            });
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully inserted tag " + tag,
+            });
+        })
+    );
+
+    /*
+     * Removes a tag from the tags collection, and removes it from any images. Its
+     * child tags are moved up to its parent.
+     *
+     * Body: a tag document, with out an _id field.
+     *  Example:
+     *  {
+     *      tag: <tag name>
+     *  }
+     *
+     * @returns {json} a success or error message
+     */
+    router.delete(
+        "/tags",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let tag = normalizeTag(req.body.tag || "");
+            let { value } = await tags.findOneAndDelete({ tag });
+            if (value == null) {
+                throw notFound("Tag not found");
+            }
+
+            let changed = await images.find({ tags: tag }).toArray();
+            await Promise.all([
+                images.updateMany(
+                    { tags: tag },
+                    {
+                        $pull: { tags: tag },
+                        $set: { updatedAt: new Date() },
+                        $inc: { version: 1 },
+                    }
+                ),
+                tags.updateMany(
+                    { parent: tag },
+                    { $set: { parent: value.parent || null } }
+                ),
+            ]);
+            await recordChange(req.user, "tag.delete", "tag", tag, value, null);
+            await recordTagChanges(req.user, changed);
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully deleted tag " + tag,
+                imagesUpdated: changed.length,
+            });
+        })
+    );
+
+    /*
+     * Renames a tag in the tags collection and in every image that uses it, and/or
+     * moves it under a different parent tag. To rename a tag to one that already
+     * exists, merge them instead.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      tag: <current tag name>,
+     *      newTag: <new tag name> (optional),
+     *      parent: <name of the new parent tag, or null for none> (optional)
+     *  }
+     *
+     * @returns {json} a success or error message
+     */
+    router.put(
+        "/tags",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let tag = normalizeTag(req.body.tag || "");
+            let newTag = req.body.newTag ? normalizeTag(req.body.newTag) : tag;
+            let changeParent = req.body.parent !== undefined;
+            let parent = req.body.parent ? normalizeTag(req.body.parent) : null;
+            if (!tag || (newTag === tag && !changeParent)) {
+                throw badRequest(
+                    "tag and either newTag or parent are required"
+                );
+            }
+
+            let tagDocuments = await tags.find().toArray();
+            let before = tagDocuments.find((doc) => doc.tag === tag);
+            if (!before) {
+                throw notFound("Tag not found");
+            }
+
+            if (
+                newTag !== tag &&
+                tagDocuments.some((doc) => doc.tag === newTag)
+            ) {
+                throw conflict(
+                    "Tag " + newTag + " already exists, merge the tags instead",
+                    "tag_exists"
+                );
+            }
+
+            if (changeParent && parent) {
+                if (!tagDocuments.some((doc) => doc.tag === parent)) {
+                    throw badRequest(
+                        "Parent tag " + parent + " not found",
+                        "tag_not_found"
+                    );
+                }
+
+                if (
+                    parent === tag ||
+                    descendantsOf(tagDocuments, tag).includes(parent)
+                ) {
+                    throw badRequest(
+                        "A tag can't be moved under itself or one of its children",
+                        "invalid_parent"
+                    );
+                }
+            }
+
+            let update = { tag: newTag };
+            if (changeParent) {
+                update.parent = parent;
+            }
+            await tags.updateOne({ tag }, { $set: update });
+            let imagesUpdated =
+                newTag !== tag ? await replaceTag(req.user, tag, newTag) : 0;
+            await recordChange(req.user, "tag.update", "tag", tag, before, {
+                ...before,
+                ...update,
+            });
+
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully updated tag " + newTag,
+                imagesUpdated,
+            });
+        })
+    );
+
+    /*
+     * Merges one or more tags into another tag. Every image using one of the merged
+     * tags is given the target tag instead, and the merged tags are removed from
+     * the tags collection. The target tag is created if it doesn't exist yet.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      tags: <array of tag names to merge>,
+     *      into: <target tag name>
+     *  }
+     *
+     * @returns {json} a success or error message
+     */
+    router.post(
+        "/tags/merge",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let into = normalizeTag(req.body.into || "");
+            let sources = (Array.isArray(req.body.tags)
+                ? req.body.tags
+                : [req.body.tags]
+            )
+                .filter((tag) => tag)
+                .map(normalizeTag)
+                .filter((tag) => tag !== into);
+            if (!into || !sources.length) {
+                throw badRequest("tags and into are required");
+            }
+
+            await tags.updateOne(
+                { tag: into },
+                { $setOnInsert: { tag: into, parent: null } },
+                { upsert: true }
+            );
+
+            let imagesUpdated = 0;
+            for (let tag of sources) {
+                imagesUpdated += await replaceTag(req.user, tag, into);
+            }
+            await tags.deleteMany({ tag: { $in: sources } });
+            await recordChange(
+                req.user,
+                "tag.merge",
+                "tag",
+                into,
+                { tags: sources },
+                { tags: [into] }
+            );
+
+            return res.status(HttpStatus.OK).json({
+                msg:
+                    "Successfully merged " +
+                    sources.join(", ") +
+                    " into " +
+                    into,
+                imagesUpdated,
+            });
+        })
+    );
+
+    return router;
+};
+
+module.exports = { createTagsRouter };
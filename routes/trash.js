@@ -0,0 +1,144 @@
+const express = require("express");
+const HttpStatus = require("http-status-codes");
+const { ownerFilter } = require("../lib/auth");
+const { parsePage } = require("../lib/fields");
+const { badRequest, asyncHandler } = require("../lib/errors");
+
+// The types of items that can be in the trash
+const TRASH_TYPES = ["image", "file"];
+
+/*
+ * Creates the routes for listing, restoring and purging deleted images and files
+ */
+const createTrashRouter = ({
+    trash,
+    auth,
+    editorOnly,
+    restoreFromTrash,
+    purgeFromTrash,
+    recordChange,
+}) => {
+    const router = express.Router();
+
+    /*
+     * Gets a document of what was in the trash, for the audit log
+     */
+    const trashedDocument = (item) => item.image || { fileName: item.target };
+
+    /*
+     * Gets the items in the trash, most recently deleted first. Items are purged
+     * TRASH_RETENTION_DAYS days after they were deleted, 30 by default. Editors only
+     * see their own images and files.
+     *
+     * Query Parameters:
+     *  type => only items of this type, image or file (optional)
+     *  pageSize => size of page, defaults to 15
+     *  pageNum => specific page number, defaults to 1
+     *
+     * @returns {json} a list of trash items, each with the deleted image or file name,
+     *  who deleted it and when, and when it will be purged
+     */
+    router.get(
+        "/trash",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let filter = ownerFilter(req.user);
+            if (req.query.type) {
+                if (!TRASH_TYPES.includes(req.query.type)) {
+                    throw badRequest(
+                        "type must be one of " + TRASH_TYPES.join(", "),
+                        "invalid_query"
+                    );
+                }
+                filter.type = req.query.type;
+            }
+
+            let result = await trash
+                .find(filter, {
+                    sort: { deletedAt: -1 },
+                    ...parsePage(req.query),
+                })
+                .toArray();
+            return res.status(HttpStatus.OK).json(result);
+        })
+    );
+
+    /*
+     * Restores an item from the trash. Images are put back with their files, and
+     * added back to the albums they were in. Editors can only restore their own images
+     * and files.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      _id: <id of the trash item>
+     *  }
+     *
+     * @returns {json} a success or error message, and the restored item
+     */
+    router.post(
+        "/trash/restore",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let item = await restoreFromTrash({
+                _id: req.body._id,
+                ...ownerFilter(req.user),
+            });
+
+            await recordChange(
+                req.user,
+                "trash.restore",
+                item.type,
+                item.target,
+                null,
+                trashedDocument(item)
+            );
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully restored " + item.type + " " + item.target,
+                item,
+            });
+        })
+    );
+
+    /*
+     * Permanently deletes an item from the trash, along with its files. It can't be
+     * restored afterwards. Editors can only purge their own images and files.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      _id: <id of the trash item>
+     *  }
+     *
+     * @returns {json} a success or error message
+     */
+    router.delete(
+        "/trash",
+        auth,
+        editorOnly,
+        asyncHandler(async (req, res) => {
+            let item = await purgeFromTrash({
+                _id: req.body._id,
+                ...ownerFilter(req.user),
+            });
+
+            await recordChange(
+                req.user,
+                "trash.purge",
+                item.type,
+                item.target,
+                trashedDocument(item),
+                null
+            );
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully purged " + item.type + " " + item.target,
+            });
+        })
+    );
+
+    return router;
+};
+
+module.exports = { createTrashRouter };
@@ -0,0 +1,393 @@
+const express = require("express");
+const HttpStatus = require("http-status-codes");
+const bcrypt = require("bcrypt");
+const {
+    ROLES,
+    BCRYPT_ROUNDS,
+    roleOf,
+    checkPassword,
+    hashToken,
+    generateToken,
+    normalizeEmail,
+} = require("../lib/users");
+const {
+    badRequest,
+    unauthorized,
+    notFound,
+    conflict,
+    isDuplicateKey,
+    asyncHandler,
+} = require("../lib/errors");
+
+/*
+ * Creates the routes for inviting and registering users, changing passwords, and
+ * managing users
+ */
+const createUsersRouter = ({
+    users,
+    userTokens,
+    refreshTokens,
+    auth,
+    adminOnly,
+    revokeAllTokens,
+}) => {
+    const router = express.Router();
+
+    /*
+     * Creates a single use token for a user, either to register with or to reset
+     * their password. Only the hash of the token is stored.
+     *
+     * @returns {Promise<string>} the token to give to the user
+     */
+    const createUserToken = async (type, email, fields, expiresInMs) => {
+        let { token, hash } = generateToken();
+        await userTokens.insertOne({
+            _id: hash,
+            type,
+            email,
+            ...fields,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + expiresInMs),
+        });
+        return token;
+    };
+
+    /*
+     * Uses up a token made with createUserToken
+     *
+     * @returns {Promise<object|null>} the token document, or null if the token
+     *  doesn't exist, has expired or was already used
+     */
+    const consumeUserToken = async (type, token) => {
+        let { value } = await userTokens.findOneAndDelete({
+            _id: hashToken(token),
+            type,
+            expiresAt: { $gt: new Date() },
+        });
+        return value;
+    };
+
+    /*
+     * Sets the password of a user
+     */
+    const setPassword = async (email, password) =>
+        users.updateOne(
+            { email },
+            {
+                $set: {
+                    passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+                },
+            }
+        );
+
+    /*
+     * Invites someone to register an account. The invite expires after 7 days.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      email: <email of the person being invited>,
+     *      role: <admin, editor or viewer>
+     *  }
+     *
+     * @returns {json} the invite token, which is needed to register
+     */
+    router.post(
+        "/auth/invites",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let email = normalizeEmail(req.body.email);
+            let role = req.body.role || "viewer";
+            if (!email || !ROLES.includes(role)) {
+                throw badRequest(
+                    "email and a role of " + ROLES.join(", ") + " are required"
+                );
+            }
+
+            if (await users.findOne({ email })) {
+                throw conflict("User Already Exists", "user_exists");
+            }
+
+            let token = await createUserToken(
+                "invite",
+                email,
+                { role, invitedBy: req.user.email },
+                7 * 24 * 60 * 60 * 1000
+            );
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully invited " + email,
+                token,
+            });
+        })
+    );
+
+    /*
+     * Registers a new user from an invite
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      token: <invite token>,
+     *      name: <name of the user>,
+     *      password: <password, at least 8 characters>
+     *  }
+     *
+     * @returns {json} a success message. The user can then login.
+     */
+    router.post(
+        "/auth/register",
+        asyncHandler(async (req, res) => {
+            let { token, name, password } = req.body;
+            let passwordError = checkPassword(password);
+            if (!token || !name || passwordError) {
+                throw badRequest(
+                    passwordError || "token and name are required"
+                );
+            }
+
+            let invite = await consumeUserToken("invite", token);
+            if (invite == null) {
+                throw unauthorized(
+                    "Invite is invalid or has expired",
+                    "invalid_token"
+                );
+            }
+
+            try {
+                await users.insertOne({
+                    email: invite.email,
+                    name: String(name),
+                    role: invite.role,
+                    passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+                    createdAt: new Date(),
+                });
+            } catch (err) {
+                if (isDuplicateKey(err)) {
+                    throw conflict("User Already Exists", "user_exists");
+                }
+                throw err;
+            }
+
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully registered " + invite.email,
+            });
+        })
+    );
+
+    /*
+     * Changes the password of the logged in user, and logs them out everywhere
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      currentPassword: <current password>,
+     *      newPassword: <new password, at least 8 characters>
+     *  }
+     *
+     * @returns {json} a success message
+     */
+    router.put(
+        "/auth/password",
+        auth,
+        asyncHandler(async (req, res) => {
+            let { currentPassword, newPassword } = req.body;
+            let passwordError = checkPassword(newPassword);
+            if (passwordError) {
+                throw badRequest(passwordError);
+            }
+
+            let user = await users.findOne({ email: req.user.email });
+            if (
+                !(await bcrypt.compare(
+                    String(currentPassword || ""),
+                    user.passwordHash
+                ))
+            ) {
+                throw unauthorized(
+                    "Credentials are incorrect",
+                    "invalid_credentials"
+                );
+            }
+
+            await setPassword(user.email, newPassword);
+            await revokeAllTokens(user.email);
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully changed password, please login again",
+            });
+        })
+    );
+
+    /*
+     * Creates a password reset token for a user, which an admin passes on to them.
+     * The token expires after an hour.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      email: <email of the user>
+     *  }
+     *
+     * @returns {json} the reset token
+     */
+    router.post(
+        "/auth/password/reset-token",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let email = normalizeEmail(req.body.email);
+            if ((await users.findOne({ email })) == null) {
+                throw notFound("User Not Found");
+            }
+
+            let token = await createUserToken(
+                "reset",
+                email,
+                {},
+                60 * 60 * 1000
+            );
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully created reset token for " + email,
+                token,
+            });
+        })
+    );
+
+    /*
+     * Resets a user's password with a reset token
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      token: <reset token>,
+     *      newPassword: <new password, at least 8 characters>
+     *  }
+     *
+     * @returns {json} a success message
+     */
+    router.post(
+        "/auth/password/reset",
+        asyncHandler(async (req, res) => {
+            let { token, newPassword } = req.body;
+            let passwordError = checkPassword(newPassword);
+            if (!token || passwordError) {
+                throw badRequest(passwordError || "token is required");
+            }
+
+            let reset = await consumeUserToken("reset", token);
+            if (reset == null) {
+                throw unauthorized(
+                    "Reset token is invalid or has expired",
+                    "invalid_token"
+                );
+            }
+
+            await setPassword(reset.email, newPassword);
+            await revokeAllTokens(reset.email);
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully reset password",
+            });
+        })
+    );
+
+    /*
+     * Gets all of the users, without their password hashes
+     *
+     * @returns {json} a list of users
+     */
+    router.get(
+        "/users",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let result = await users
+                .find({}, { projection: { passwordHash: 0 } })
+                .toArray();
+            return res.status(HttpStatus.OK).json(
+                result.map((user) => ({
+                    ...user,
+                    role: roleOf(user),
+                }))
+            );
+        })
+    );
+
+    /*
+     * Changes the role of a user
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      email: <email of the user>,
+     *      role: <admin, editor or viewer>
+     *  }
+     *
+     * @returns {json} a success message
+     */
+    router.put(
+        "/users",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let email = normalizeEmail(req.body.email);
+            let { role } = req.body;
+            if (!ROLES.includes(role)) {
+                throw badRequest("role must be one of " + ROLES.join(", "));
+            }
+
+            if (email === req.user.email && role !== "admin") {
+                throw badRequest("You can't remove your own admin role");
+            }
+
+            let result = await users.updateOne({ email }, { $set: { role } });
+            if (result.matchedCount == 0) {
+                throw notFound("User Not Found");
+            }
+
+            return res.status(HttpStatus.OK).json({
+                msg:
+                    "Successfully changed the role of " + email + " to " + role,
+            });
+        })
+    );
+
+    /*
+     * Deletes a user, and logs them out everywhere. Their images are kept.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      email: <email of the user>
+     *  }
+     *
+     * @returns {json} a success message
+     */
+    router.delete(
+        "/users",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let email = normalizeEmail(req.body.email);
+            if (email === req.user.email) {
+                throw badRequest("You can't delete yourself");
+            }
+
+            let result = await users.deleteOne({ email });
+            if (result.deletedCount == 0) {
+                throw notFound("User Not Found");
+            }
+
+            await refreshTokens.updateMany(
+                { email, revokedAt: null },
+                { $set: { revokedAt: new Date() } }
+            );
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully deleted user " + email,
+            });
+        })
+    );
+
+    return router;
+};
+
+module.exports = { createUsersRouter };
@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const express = require("express");
+const HttpStatus = require("http-status-codes");
+const { ObjectId } = require("mongodb");
+const { validateWebhook } = require("../lib/schema");
+const { parsePage } = require("../lib/fields");
+const {
+    badRequest,
+    notFound,
+    invalidDocument,
+    asyncHandler,
+} = require("../lib/errors");
+
+// The states a delivery can be in
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+// The secret is only sent when a webhook is registered
+const hideSecret = { projection: { secret: 0 } };
+
+/*
+ * Creates the routes for registering webhooks and reading their delivery log
+ */
+const createWebhooksRouter = ({
+    webhooks,
+    webhookDeliveries,
+    auth,
+    adminOnly,
+}) => {
+    const router = express.Router();
+
+    /*
+     * Gets the registered webhooks, without their secrets
+     *
+     * @returns {json} a list of webhooks
+     */
+    router.get(
+        "/webhooks",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let result = await webhooks
+                .find({}, { sort: { createdAt: -1 }, ...hideSecret })
+                .toArray();
+            return res.status(HttpStatus.OK).json(result);
+        })
+    );
+
+    /*
+     * Registers a webhook, which is sent a POST request for each library event it
+     * subscribes to. The events are the actions in the audit log, like image.create,
+     * storage.upload or tag.delete, and fire from the image, storage and tags
+     * endpoints. Each request has a JSON body with the event, the type and id of what
+     * changed, who changed it, the changed fields, and the document after the change.
+     *
+     * Requests are signed with the webhook's secret, which is only returned here. The
+     * X-Webhook-Signature header is sha256= and the hex HMAC-SHA256 of the
+     * X-Webhook-Timestamp header and the body, joined with a dot. Deliveries that
+     * don't get a 2xx response are retried with exponential backoff, up to
+     * WEBHOOK_MAX_ATTEMPTS times, 6 by default.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      url: <http or https URL to send events to>,
+     *      events: <array of events, like image.create, image.* or *>,
+     *      description: <what the webhook is for, up to 500 characters> (optional),
+     *      active: <whether events are sent, defaults to true> (optional)
+     *  }
+     *
+     * @returns {json} the new webhook, with its secret
+     */
+    router.post(
+        "/webhooks",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let { _id, ...body } = req.body;
+            let errors = validateWebhook(body, "create");
+            if (errors.length) {
+                throw invalidDocument("Webhook", errors);
+            }
+
+            let webhook = {
+                _id: new ObjectId().toHexString(),
+                url: body.url,
+                events: body.events,
+                description: body.description || "",
+                active: body.active !== false,
+                secret: crypto.randomBytes(32).toString("hex"),
+                createdBy: req.user.email,
+            };
+            webhook.createdAt = webhook.updatedAt = new Date();
+            await webhooks.insertOne(webhook);
+            return res.status(HttpStatus.CREATED).json(webhook);
+        })
+    );
+
+    /*
+     * Updates the given fields of a webhook
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      _id: <id of an existing webhook>,
+     *      url: <http or https URL to send events to> (optional),
+     *      events: <array of events, like image.create, image.* or *> (optional),
+     *      description: <what the webhook is for, up to 500 characters> (optional),
+     *      active: <whether events are sent> (optional)
+     *  }
+     *
+     * @returns {json} the updated webhook, without its secret
+     */
+    router.put(
+        "/webhooks",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let errors = validateWebhook(req.body, "update");
+            if (errors.length) {
+                throw invalidDocument("Webhook", errors);
+            }
+
+            let { _id, ...fields } = req.body;
+            let { value } = await webhooks.findOneAndUpdate(
+                { _id },
+                { $set: { ...fields, updatedAt: new Date() } },
+                { returnOriginal: false, ...hideSecret }
+            );
+            if (value == null) {
+                throw notFound("Webhook not found");
+            }
+
+            return res.status(HttpStatus.OK).json(value);
+        })
+    );
+
+    /*
+     * Removes a webhook. Its deliveries that haven't been sent yet fail, and its
+     * delivery log is kept.
+     *
+     * Body:
+     *  Example:
+     *  {
+     *      _id: <id of an existing webhook>
+     *  }
+     *
+     * @returns {json} a success or error message
+     */
+    router.delete(
+        "/webhooks",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let result = await webhooks.deleteOne({ _id: req.body._id });
+            if (!result.deletedCount) {
+                throw notFound("Webhook not found");
+            }
+
+            return res.status(HttpStatus.OK).json({
+                msg: "Successfully removed webhook _id=" + req.body._id,
+            });
+        })
+    );
+
+    /*
+     * Gets the delivery log of webhooks, newest first. Each delivery has the payload
+     * that was sent, and every attempt to send it with the response status or error.
+     * Deliveries are kept for 30 days.
+     *
+     * Query Parameters:
+     *  webhook => only deliveries to the webhook with this id (optional)
+     *  event => only deliveries of this event, like image.create (optional)
+     *  status => only deliveries that are pending, delivered or failed (optional)
+     *  pageSize => size of page, defaults to 50
+     *  pageNum => specific page number, defaults to 1
+     *
+     * @returns {json} a list of deliveries
+     */
+    router.get(
+        "/webhooks/deliveries",
+        auth,
+        adminOnly,
+        asyncHandler(async (req, res) => {
+            let filter = {};
+            if (req.query.webhook) {
+                filter.webhookId = String(req.query.webhook);
+            }
+            if (req.query.event) {
+                filter.event = String(req.query.event);
+            }
+            if (req.query.status) {
+                if (!DELIVERY_STATUSES.includes(req.query.status)) {
+                    throw badRequest(
+                        "status must be one of " + DELIVERY_STATUSES.join(", "),
+                        "invalid_query"
+                    );
+                }
+                filter.status = req.query.status;
+            }
+
+            let result = await webhookDeliveries
+                .find(filter, {
+                    sort: { createdAt: -1 },
+                    ...parsePage(req.query, 50),
+                })
+                .toArray();
+            return res.status(HttpStatus.OK).json(result);
+        })
+    );
+
+    return router;
+};
+
+module.exports = { createWebhooksRouter };